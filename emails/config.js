@@ -0,0 +1,16 @@
+// Branding and addresses used by every email. Set in the environment so a
+// deployment can rebrand or change who gets admin alerts without a code
+// change.
+
+const BRAND_NAME = process.env.EMAIL_BRAND_NAME || 'Alpha Channel Media';
+
+module.exports = {
+  BRAND_NAME,
+  // Buttons and highlights
+  BRAND_COLOR: process.env.EMAIL_BRAND_COLOR || '#00a86b',
+  ACCENT_COLOR: process.env.EMAIL_ACCENT_COLOR || '#006e45',
+  SITE_URL: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  FROM_EMAIL: process.env.FROM_EMAIL || `${BRAND_NAME} <onboarding@resend.dev>`,
+  // Where new-signup and new-application alerts go; unset skips them
+  ADMIN_EMAIL: process.env.ADMIN_EMAIL || null
+};
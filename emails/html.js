@@ -0,0 +1,51 @@
+// Escaping HTML templates for emails.
+//
+//   html`<p>Hi ${listener.first_name}</p>`
+//
+// escapes every interpolated value unless it is itself the result of html``
+// (or raw()), so templates can nest without double escaping. Arrays are
+// joined, and null / undefined / false render as nothing. url() only lets
+// http(s) and mailto links through.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// Trusted markup, inserted as is
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function url(value) {
+  const href = String(value || '').trim();
+  return /^(https?:\/\/|mailto:)/i.test(href) ? href : '#';
+}
+
+module.exports = { SafeHtml, escapeHtml, html, raw, url };
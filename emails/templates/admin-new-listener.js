@@ -0,0 +1,31 @@
+const { html } = require('../html');
+const { heading, panel, field } = require('./layout');
+
+// To the admin when a listener signs up
+module.exports = {
+  name: 'admin_new_listener',
+  description: 'Admin alert for a new listener signup',
+  subject: ({ listener }) => `New Listener Signup: ${listener.first_name} ${listener.last_name}`,
+  preheader: ({ listener }) => `${listener.username} just joined`,
+  html: ({ listener }) => html`
+    ${heading('New Listener Joined')}
+    ${panel(html`
+      ${field('Name', `${listener.first_name} ${listener.last_name}`)}
+      ${field('Email', listener.email)}
+      ${field('Username', listener.username)}
+    `)}
+    <p style="color: #666; font-size: 0.9rem;">This account was automatically approved.</p>
+  `,
+  text: ({ listener }) => `
+New listener joined
+
+Name: ${listener.first_name} ${listener.last_name}
+Email: ${listener.email}
+Username: ${listener.username}
+
+This account was automatically approved.
+`,
+  preview: {
+    listener: { id: '00000000-0000-0000-0000-000000000002', first_name: 'Sam', last_name: 'Lee', username: 'sam_listens', email: 'sam@example.com' }
+  }
+};
@@ -0,0 +1,51 @@
+const { html } = require('../html');
+const { heading, panel, field, button, buttons } = require('./layout');
+const { SITE_URL } = require('../config');
+
+// To the admin when someone applies to be a creator
+module.exports = {
+  name: 'creator_application',
+  description: 'Admin alert for a new creator application, with approve and deny links',
+  subject: ({ application }) => `New Creator Application: ${application.first_name} ${application.last_name}`,
+  preheader: ({ application }) => `${application.username} wants to join as a creator`,
+  html: ({ application }) => html`
+    ${heading('New Creator Application')}
+    ${panel(html`
+      ${field('Name', `${application.first_name} ${application.last_name}`)}
+      ${field('Email', application.email)}
+      ${field('Username', application.username)}
+      ${field('Artist Name', application.artist_name)}
+      ${field('Bio', application.bio)}
+      ${field('Reason', application.reason)}
+    `)}
+    ${buttons(
+      button(`${SITE_URL}/master-admin.html?action=approve&id=${encodeURIComponent(application.id)}`, 'APPROVE'),
+      button(`${SITE_URL}/master-admin.html?action=deny&id=${encodeURIComponent(application.id)}`, 'DENY', '#d32f2f')
+    )}
+  `,
+  text: ({ application }) => `
+New creator application
+
+Name: ${application.first_name} ${application.last_name}
+Email: ${application.email}
+Username: ${application.username}
+Artist Name: ${application.artist_name || 'N/A'}
+Bio: ${application.bio || 'N/A'}
+Reason: ${application.reason || 'N/A'}
+
+Approve: ${SITE_URL}/master-admin.html?action=approve&id=${encodeURIComponent(application.id)}
+Deny: ${SITE_URL}/master-admin.html?action=deny&id=${encodeURIComponent(application.id)}
+`,
+  preview: {
+    application: {
+      id: '00000000-0000-0000-0000-000000000001',
+      first_name: 'Jamie',
+      last_name: 'Rivera',
+      email: 'jamie@example.com',
+      username: 'jamier',
+      artist_name: 'J. Rivera & The <Echoes>',
+      bio: 'Indie songwriter from Portland.',
+      reason: 'Looking for honest feedback on new material.'
+    }
+  }
+};
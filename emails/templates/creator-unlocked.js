@@ -0,0 +1,33 @@
+const { html } = require('../html');
+const { heading, paragraph, panel, button, buttons } = require('./layout');
+const { BRAND_NAME, ACCENT_COLOR, SITE_URL } = require('../config');
+
+// To a listener who unlocked a creator's catalogue
+module.exports = {
+  name: 'creator_unlocked',
+  description: 'Tells a listener they now have access to a creator',
+  footer: 'settings',
+  subject: ({ creator }) => `You unlocked ${creator.artist_name || creator.username} on ${BRAND_NAME}!`,
+  preheader: ({ creator }) => `You now have access to ${creator.artist_name || creator.username}'s music and videos`,
+  html: ({ listener, creator }) => html`
+    ${heading('New Creator Unlocked!')}
+    ${paragraph(html`Hey ${listener.first_name}! You now have access to <strong>${creator.artist_name || creator.username}</strong>'s music and videos.`)}
+    ${panel(html`
+      <h2 style="color: ${ACCENT_COLOR}; margin-bottom: 8px;">${creator.artist_name || creator.username}</h2>
+      <p style="color: #888;">You'll be notified when they upload new content.</p>
+    `, { center: true })}
+    ${buttons(button(`${SITE_URL}/player.html`, 'LISTEN NOW'))}
+  `,
+  text: ({ listener, creator }) => `
+New creator unlocked!
+
+Hey ${listener.first_name}! You now have access to ${creator.artist_name || creator.username}'s music and videos.
+You'll be notified when they upload new content.
+
+Listen now: ${SITE_URL}/player.html
+`,
+  preview: {
+    listener: { id: '00000000-0000-0000-0000-000000000002', first_name: 'Sam' },
+    creator: { id: '00000000-0000-0000-0000-000000000003', username: 'jamier', artist_name: 'J. Rivera & The <Echoes>' }
+  }
+};
@@ -0,0 +1,47 @@
+const { html } = require('../html');
+const { heading, paragraph, panel, field, button, buttons } = require('./layout');
+const { BRAND_NAME, SITE_URL } = require('../config');
+
+// To a creator whose application was approved
+module.exports = {
+  name: 'creator_welcome',
+  description: 'Welcome for an approved creator; their PIN comes separately from the admin',
+  subject: () => `Your ${BRAND_NAME} Application Has Been Approved!`,
+  preheader: () => 'Your creator account is ready',
+  html: ({ application }) => html`
+    ${heading(`Welcome to ${BRAND_NAME}!`)}
+    ${paragraph(`Congratulations ${application.first_name}! Your creator application has been approved.`)}
+    ${panel(html`
+      <h3 style="margin-bottom: 16px;">Your Login Info</h3>
+      ${field('Username', application.username)}
+      <p style="color: #666; margin-top: 8px;">Your admin will provide you with a PIN to log in.</p>
+    `)}
+    ${buttons(button(`${SITE_URL}/login.html`, 'LOGIN NOW'))}
+    <h3 style="margin-bottom: 12px;">Next Steps:</h3>
+    <ol style="color: #666; line-height: 1.8;">
+      <li>Receive your PIN from the admin</li>
+      <li>Sign in with your username and PIN</li>
+      <li>Access the Creator Dashboard</li>
+      <li>Upload your first track or video</li>
+    </ol>
+  `,
+  text: ({ application }) => `
+Welcome to ${BRAND_NAME}!
+
+Congratulations ${application.first_name}! Your creator application has been approved.
+
+Username: ${application.username}
+Your admin will provide you with a PIN to log in.
+
+Log in: ${SITE_URL}/login.html
+
+Next steps:
+1. Receive your PIN from the admin
+2. Sign in with your username and PIN
+3. Access the Creator Dashboard
+4. Upload your first track or video
+`,
+  preview: {
+    application: { id: '00000000-0000-0000-0000-000000000001', first_name: 'Jamie', username: 'jamier' }
+  }
+};
@@ -0,0 +1,56 @@
+const { layout, textLayout, settingsFooter, settingsFooterText } = require('./layout');
+
+// Every email the app sends, keyed by the email_type it is logged under.
+// A template exports:
+//   name        email type
+//   subject     (data) => string
+//   preheader   (data) => string, optional
+//   html        (data) => html`` body, framed by layout()
+//   text        (data) => plain-text body, framed by textLayout()
+//   footer      'settings' for emails a listener can turn off
+//   preview     sample data for the dev preview
+
+const TEMPLATES = [
+  require('./creator-application'),
+  require('./creator-welcome'),
+  require('./listener-confirmation'),
+  require('./admin-new-listener'),
+  require('./creator-unlocked'),
+  require('./new-song'),
+  require('./new-video')
+].reduce((all, template) => ({ ...all, [template.name]: template }), {});
+
+function getTemplate(name) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template;
+}
+
+// { subject, html, text } for one email
+function render(name, data) {
+  const template = getTemplate(name);
+  const settings = template.footer === 'settings';
+  return {
+    subject: template.subject(data).replace(/[\r\n]+/g, ' ').trim(),
+    html: layout({
+      preheader: template.preheader ? template.preheader(data) : null,
+      body: template.html(data),
+      footer: settings ? settingsFooter() : null
+    }).toString(),
+    text: textLayout({
+      body: template.text(data),
+      footer: settings ? settingsFooterText() : null
+    })
+  };
+}
+
+function listTemplates() {
+  return Object.values(TEMPLATES).map(t => ({ name: t.name, description: t.description }));
+}
+
+// Render a template with its own sample data
+function preview(name) {
+  return render(name, getTemplate(name).preview);
+}
+
+module.exports = { render, listTemplates, preview, has: name => Boolean(TEMPLATES[name]) };
@@ -0,0 +1,77 @@
+const { html, raw, url } = require('../html');
+const { BRAND_NAME, BRAND_COLOR, ACCENT_COLOR, SITE_URL } = require('../config');
+
+// Shared frame and building blocks for every email template.
+
+const FONT = raw("'Inter', Arial, sans-serif");
+
+// Full HTML document around a template's body. The preheader is the
+// preview line most inboxes show next to the subject.
+function layout({ preheader, body, footer }) {
+  return html`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+  </head>
+  <body style="margin: 0; background: #ffffff;">
+    <span style="display: none; max-height: 0; overflow: hidden;">${preheader}</span>
+    <div style="font-family: ${FONT}; max-width: 600px; margin: 0 auto; padding: 40px 20px;">
+      <p style="color: ${ACCENT_COLOR}; font-weight: 700; letter-spacing: 0.05em; margin: 0 0 24px;">${BRAND_NAME}</p>
+      ${body}
+      ${footer ? html`<p style="color: #999; font-size: 0.8rem; text-align: center; margin-top: 32px;">${footer}</p>` : null}
+    </div>
+  </body>
+</html>`;
+}
+
+// Plain-text part: the template's text plus the same sign-off and footer
+function textLayout({ body, footer }) {
+  return [body.trim(), `-- ${BRAND_NAME}\n${SITE_URL}`, footer].filter(Boolean).join('\n\n') + '\n';
+}
+
+function heading(text) {
+  return html`<h1 style="color: #1a1a1a; margin-bottom: 16px;">${text}</h1>`;
+}
+
+function paragraph(content) {
+  return html`<p style="color: #666; margin-bottom: 24px;">${content}</p>`;
+}
+
+function panel(content, { center } = {}) {
+  return html`<div style="background: #f5f5f5; border-radius: 12px; padding: 24px; margin-bottom: 32px;${center ? ' text-align: center;' : ''}">${content}</div>`;
+}
+
+function field(label, value) {
+  return html`<p><strong>${label}:</strong> ${value || 'N/A'}</p>`;
+}
+
+function button(href, label, color) {
+  return html`<a href="${url(href)}" style="display: inline-block; padding: 14px 32px; background: ${color || BRAND_COLOR}; color: white; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 0 8px;">${label}</a>`;
+}
+
+function buttons(...items) {
+  return html`<div style="text-align: center; margin-bottom: 32px;">${items}</div>`;
+}
+
+// Footer for emails a listener can turn off
+function settingsFooter() {
+  return html`Manage notifications in your <a href="${url(`${SITE_URL}/email-settings.html`)}" style="color: ${ACCENT_COLOR};">email settings</a>.`;
+}
+
+function settingsFooterText() {
+  return `Manage notifications in your email settings: ${SITE_URL}/email-settings.html`;
+}
+
+module.exports = {
+  layout,
+  textLayout,
+  heading,
+  paragraph,
+  panel,
+  field,
+  button,
+  buttons,
+  settingsFooter,
+  settingsFooterText
+};
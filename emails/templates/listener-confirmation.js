@@ -0,0 +1,33 @@
+const { html } = require('../html');
+const { heading, paragraph, panel, field, button, buttons } = require('./layout');
+const { BRAND_NAME, SITE_URL } = require('../config');
+
+// To a listener right after they sign up
+module.exports = {
+  name: 'listener_confirmation',
+  description: 'Welcome for a new listener account',
+  subject: () => `Welcome to ${BRAND_NAME}!`,
+  preheader: () => 'Your listener account is all set up',
+  html: ({ listener }) => html`
+    ${heading(`Welcome to ${BRAND_NAME}!`)}
+    ${paragraph(`Hey ${listener.first_name}! Your listener account is all set up.`)}
+    ${panel(html`
+      ${field('Username', listener.username)}
+      ${field('Email', listener.email)}
+    `)}
+    ${buttons(button(`${SITE_URL}/login.html`, 'START LISTENING'))}
+  `,
+  text: ({ listener }) => `
+Welcome to ${BRAND_NAME}!
+
+Hey ${listener.first_name}! Your listener account is all set up.
+
+Username: ${listener.username}
+Email: ${listener.email}
+
+Start listening: ${SITE_URL}/login.html
+`,
+  preview: {
+    listener: { id: '00000000-0000-0000-0000-000000000002', first_name: 'Sam', username: 'sam_listens', email: 'sam@example.com' }
+  }
+};
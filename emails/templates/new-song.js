@@ -0,0 +1,34 @@
+const { html } = require('../html');
+const { heading, paragraph, panel, button, buttons } = require('./layout');
+const { ACCENT_COLOR, SITE_URL } = require('../config');
+
+// To subscribers when a creator uploads a song. The same message goes to
+// every subscriber, so it has no per-listener details.
+module.exports = {
+  name: 'new_song',
+  description: 'New track alert for a creator\'s subscribers',
+  footer: 'settings',
+  subject: ({ creator }) => `${creator.artist_name || creator.username} just dropped a new track!`,
+  preheader: ({ song }) => `Listen to "${song.title}" now`,
+  html: ({ creator, song }) => html`
+    ${heading('New Music Alert!')}
+    ${paragraph(html`<strong>${creator.artist_name || creator.username}</strong> just uploaded a new track.`)}
+    ${panel(html`
+      <h2 style="color: #1a1a1a; margin-bottom: 4px;">${song.title}</h2>
+      <p style="color: ${ACCENT_COLOR}; font-weight: 500;">${song.artist}</p>
+    `)}
+    ${buttons(button(`${SITE_URL}/player.html`, 'PLAY NOW'))}
+  `,
+  text: ({ creator, song }) => `
+New music alert!
+
+${creator.artist_name || creator.username} just uploaded a new track:
+"${song.title}" by ${song.artist}
+
+Play now: ${SITE_URL}/player.html
+`,
+  preview: {
+    creator: { id: '00000000-0000-0000-0000-000000000003', username: 'jamier', artist_name: 'J. Rivera & The <Echoes>' },
+    song: { id: '00000000-0000-0000-0000-000000000004', title: '"Rain" <demo>', artist: 'J. Rivera' }
+  }
+};
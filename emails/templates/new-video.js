@@ -0,0 +1,33 @@
+const { html } = require('../html');
+const { heading, paragraph, panel, button, buttons } = require('./layout');
+const { SITE_URL } = require('../config');
+
+// To subscribers when a creator uploads a video (same message for everyone)
+module.exports = {
+  name: 'new_video',
+  description: 'New video alert for a creator\'s subscribers',
+  footer: 'settings',
+  subject: ({ creator }) => `${creator.artist_name || creator.username} just posted a new video!`,
+  preheader: ({ video }) => `Watch "${video.title}" now`,
+  html: ({ creator, video }) => html`
+    ${heading('New Video Alert!')}
+    ${paragraph(html`<strong>${creator.artist_name || creator.username}</strong> just uploaded a new video.`)}
+    ${panel(html`
+      <h2 style="color: #1a1a1a; margin-bottom: 4px;">${video.title}</h2>
+      <p style="color: #888;">${video.category || 'Video'}</p>
+    `)}
+    ${buttons(button(`${SITE_URL}/videos.html`, 'WATCH NOW'))}
+  `,
+  text: ({ creator, video }) => `
+New video alert!
+
+${creator.artist_name || creator.username} just uploaded a new video:
+"${video.title}" (${video.category || 'Video'})
+
+Watch now: ${SITE_URL}/videos.html
+`,
+  preview: {
+    creator: { id: '00000000-0000-0000-0000-000000000003', username: 'jamier', artist_name: 'J. Rivera & The <Echoes>' },
+    video: { id: '00000000-0000-0000-0000-000000000005', title: 'Live at <The Loft>', category: 'Live' }
+  }
+};
@@ -0,0 +1,73 @@
+const path = require('path');
+const { deliveryError } = require('../services/errors');
+const { createResendTransport } = require('./transports/resend');
+const { createSmtpTransport } = require('./transports/smtp');
+const { createFileTransport, createMemoryTransport } = require('./transports/local');
+const { FROM_EMAIL } = require('./config');
+
+// Hands one rendered email to the configured transport. Used only by the
+// email worker (services/email-worker.js); everything else queues mail
+// through services/email-outbox.js.
+//
+// EMAIL_TRANSPORT picks the driver:
+//   resend  the Resend API (RESEND_API_KEY)
+//   smtp    any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    writes each message to EMAIL_FILE_DIR instead of sending it
+//   memory  keeps the latest messages in memory instead of sending them
+// Unset, it is 'resend' when RESEND_API_KEY is set, otherwise 'file' in
+// development. In production with nothing configured, every send fails
+// (and is dead-lettered) rather than quietly going nowhere.
+//
+// A driver is { name, send(message) } where send resolves with the
+// provider's message id or throws a deliveryError. The local drivers also
+// have list / get / clear for the dev inbox (routes/dev-emails.js).
+
+const DRIVERS = ['resend', 'smtp', 'file', 'memory'];
+
+function defaultDriver() {
+  if (process.env.RESEND_API_KEY) return 'resend';
+  return process.env.NODE_ENV === 'production' ? null : 'file';
+}
+
+function createTransport(driver) {
+  switch (driver) {
+    case 'resend':
+      if (!process.env.RESEND_API_KEY) throw new Error('EMAIL_TRANSPORT=resend needs RESEND_API_KEY');
+      return createResendTransport({ apiKey: process.env.RESEND_API_KEY });
+    case 'smtp':
+      if (!process.env.SMTP_HOST) throw new Error('EMAIL_TRANSPORT=smtp needs SMTP_HOST');
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({ dir: process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', '.emails') });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${driver}" (expected ${DRIVERS.join(', ')})`);
+  }
+}
+
+const driver = process.env.EMAIL_TRANSPORT || defaultDriver();
+const transport = driver ? createTransport(driver) : null;
+if (!transport) {
+  console.warn('WARNING: no email transport configured (set EMAIL_TRANSPORT or RESEND_API_KEY). Emails will fail.');
+} else if (transport.list) {
+  console.log(`Email transport: ${transport.name} (messages are kept locally, not sent)`);
+}
+
+async function deliver({ to, subject, html, text }) {
+  if (!transport) throw deliveryError('No email transport configured');
+  return transport.send({ from: FROM_EMAIL, to, subject, html, text });
+}
+
+// The local driver, when one is in use (for the dev inbox)
+function localTransport() {
+  return transport && transport.list ? transport : null;
+}
+
+module.exports = { FROM_EMAIL, DRIVERS, deliver, localTransport };
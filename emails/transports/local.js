@@ -0,0 +1,109 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keeps messages instead of sending them, for development and CI.
+//   file    one JSON file per message in `dir`, kept across restarts
+//   memory  the latest `limit` messages in this process
+// Both can be listed and read back (see routes/dev-emails.js).
+
+const MEMORY_LIMIT = 200;
+
+function toRecord({ from, to, subject, html, text }) {
+  return {
+    id: crypto.randomUUID(),
+    from,
+    to,
+    subject,
+    html,
+    text: text || null,
+    created_at: new Date().toISOString()
+  };
+}
+
+function summary(record) {
+  const { html, text, ...rest } = record;
+  return rest;
+}
+
+function createMemoryTransport() {
+  let messages = [];
+
+  return {
+    name: 'memory',
+    async send(message) {
+      const record = toRecord(message);
+      messages.unshift(record);
+      if (messages.length > MEMORY_LIMIT) messages = messages.slice(0, MEMORY_LIMIT);
+      return record.id;
+    },
+    async list(limit) {
+      return messages.slice(0, limit || 50).map(summary);
+    },
+    async get(id) {
+      return messages.find(m => m.id === id) || null;
+    },
+    async clear() {
+      const count = messages.length;
+      messages = [];
+      return count;
+    }
+  };
+}
+
+function createFileTransport({ dir }) {
+  // Ids are UUIDs we generated; anything else can't name a file of ours
+  function fileFor(id) {
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+    return path.join(dir, `${id}.json`);
+  }
+
+  async function readAll() {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const records = [];
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      try {
+        records.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')));
+      } catch (err) {
+        // skip files we didn't write or that are half written
+      }
+    }
+    return records.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  return {
+    name: 'file',
+    async send(message) {
+      const record = toRecord(message);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(record.id), JSON.stringify(record, null, 2));
+      return record.id;
+    },
+    async list(limit) {
+      return (await readAll()).slice(0, limit || 50).map(summary);
+    },
+    async get(id) {
+      const file = fileFor(id);
+      if (!file) return null;
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async clear() {
+      const records = await readAll();
+      await Promise.all(records.map(r => fs.unlink(fileFor(r.id)).catch(() => {})));
+      return records.length;
+    }
+  };
+}
+
+module.exports = { createMemoryTransport, createFileTransport };
@@ -0,0 +1,33 @@
+const { Resend } = require('resend');
+const { deliveryError } = require('../../services/errors');
+
+const RATE_LIMIT_BACKOFF_SECONDS = 60;
+
+function createResendTransport({ apiKey }) {
+  const resend = new Resend(apiKey);
+
+  async function send({ from, to, subject, html, text }) {
+    let result;
+    try {
+      result = await resend.emails.send({ from, to, subject, html, text });
+    } catch (err) {
+      // fetch failures and unreadable responses
+      throw deliveryError(err.message || 'Network error', { retryable: true });
+    }
+
+    // The SDK reports API errors in the result instead of throwing
+    if (result.error) {
+      const statusCode = result.error.statusCode || null;
+      throw deliveryError(result.error.message || result.error.name || 'Resend error', {
+        statusCode,
+        retryable: !statusCode || statusCode === 429 || statusCode >= 500,
+        retryAfterSeconds: statusCode === 429 ? RATE_LIMIT_BACKOFF_SECONDS : null
+      });
+    }
+    return result.data ? result.data.id : null;
+  }
+
+  return { name: 'resend', send };
+}
+
+module.exports = { createResendTransport };
@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+const { deliveryError } = require('../../services/errors');
+
+// Connection problems that are worth another try later
+const TRANSIENT_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED'];
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  async function send({ from, to, subject, html, text }) {
+    try {
+      const info = await transporter.sendMail({ from, to, subject, html, text });
+      return info.messageId || null;
+    } catch (err) {
+      // SMTP replies: 4xx is a temporary failure, 5xx a permanent one
+      const responseCode = err.responseCode || null;
+      const retryable = responseCode
+        ? responseCode >= 400 && responseCode < 500
+        : TRANSIENT_CODES.includes(err.code);
+      throw deliveryError(err.response || err.message, { retryable, statusCode: responseCode });
+    }
+  }
+
+  return { name: 'smtp', send };
+}
+
+module.exports = { createSmtpTransport };
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { notifyAccountStatus } = require('../services/notifications');
+const { listOutbox, retryEmail } = require('../services/email-outbox');
 
 // Master admin authentication middleware
 function authenticateMaster(req, res, next) {
@@ -100,7 +102,11 @@ router.get('/listeners/:id', async (req, res) => {
 router.post('/listeners/:id/deactivate', async (req, res) => {
   const db = req.app.locals.db;
   try {
-    await db.query('UPDATE listeners SET status = $1 WHERE id = $2', ['deactivated', req.params.id]);
+    const result = await db.query(
+      'UPDATE listeners SET status = $1 WHERE id = $2 AND status IS DISTINCT FROM $1 RETURNING id',
+      ['deactivated', req.params.id]
+    );
+    if (result.rows.length > 0) await notifyAccountStatus(db, req.params.id, 'listener', 'deactivated');
     res.json({ success: true });
   } catch (err) {
     console.error('Deactivate listener error:', err);
@@ -111,7 +117,11 @@ router.post('/listeners/:id/deactivate', async (req, res) => {
 router.post('/listeners/:id/reactivate', async (req, res) => {
   const db = req.app.locals.db;
   try {
-    await db.query('UPDATE listeners SET status = $1 WHERE id = $2', ['active', req.params.id]);
+    const result = await db.query(
+      'UPDATE listeners SET status = $1 WHERE id = $2 AND status IS DISTINCT FROM $1 RETURNING id',
+      ['active', req.params.id]
+    );
+    if (result.rows.length > 0) await notifyAccountStatus(db, req.params.id, 'listener', 'active');
     res.json({ success: true });
   } catch (err) {
     console.error('Reactivate listener error:', err);
@@ -212,7 +222,11 @@ router.get('/creators/:id', async (req, res) => {
 router.post('/creators/:id/deactivate', async (req, res) => {
   const db = req.app.locals.db;
   try {
-    await db.query('UPDATE creators SET status = $1 WHERE id = $2', ['deactivated', req.params.id]);
+    const result = await db.query(
+      'UPDATE creators SET status = $1 WHERE id = $2 AND status IS DISTINCT FROM $1 RETURNING id',
+      ['deactivated', req.params.id]
+    );
+    if (result.rows.length > 0) await notifyAccountStatus(db, req.params.id, 'creator', 'deactivated');
     res.json({ success: true });
   } catch (err) {
     console.error('Deactivate creator error:', err);
@@ -223,7 +237,11 @@ router.post('/creators/:id/deactivate', async (req, res) => {
 router.post('/creators/:id/reactivate', async (req, res) => {
   const db = req.app.locals.db;
   try {
-    await db.query('UPDATE creators SET status = $1 WHERE id = $2', ['active', req.params.id]);
+    const result = await db.query(
+      'UPDATE creators SET status = $1 WHERE id = $2 AND status IS DISTINCT FROM $1 RETURNING id',
+      ['active', req.params.id]
+    );
+    if (result.rows.length > 0) await notifyAccountStatus(db, req.params.id, 'creator', 'active');
     res.json({ success: true });
   } catch (err) {
     console.error('Reactivate creator error:', err);
@@ -351,4 +369,34 @@ router.put('/featured/:id', async (req, res) => {
   }
 });
 
+// ========================================
+// EMAIL OUTBOX
+// ========================================
+
+// Queued, sent and dead-lettered emails (?status=pending|sending|sent|dead)
+router.get('/emails', async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const result = await listOutbox(db, { status: req.query.status, limit: req.query.limit });
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Email outbox error:', err);
+    res.status(500).json({ error: 'Failed to get email outbox' });
+  }
+});
+
+// Requeue a dead-lettered email
+router.post('/emails/:id/retry', async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const email = await retryEmail(db, req.params.id);
+    res.json({ success: true, email: { id: email.id, status: email.status } });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Email retry error:', err);
+    res.status(500).json({ error: 'Failed to retry email' });
+  }
+});
+
 module.exports = router;
@@ -20,8 +20,8 @@ router.post('/submit', async (req, res) => {
     const application = result.rows[0];
 
     // Send notification email to admin
-    sendCreatorApplicationEmail(application).catch(err =>
-      console.error('Failed to send application email:', err)
+    sendCreatorApplicationEmail(db, application).catch(err =>
+      console.error('Failed to queue application email:', err)
     );
 
     res.json({ success: true, id: application.id });
@@ -65,8 +65,8 @@ router.post('/approve/:id', async (req, res) => {
     );
 
     // Send welcome email (tells them admin will provide PIN)
-    sendCreatorWelcomeEmail(application).catch(err =>
-      console.error('Failed to send welcome email:', err)
+    sendCreatorWelcomeEmail(db, application).catch(err =>
+      console.error('Failed to queue welcome email:', err)
     );
 
     res.json({ success: true });
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { localTransport } = require('../emails/transport');
+const templates = require('../emails/templates');
+
+// Development inbox: browse the emails the file or memory transport kept
+// instead of sending, and preview every template with sample data. There is
+// no auth: only mounted with EMAIL_DEV_INBOX=true, and never in production
+// (see server.js).
+
+function requireLocalTransport(req, res, next) {
+  req.inbox = localTransport();
+  if (!req.inbox) {
+    return res.status(404).json({ error: 'The dev inbox needs EMAIL_TRANSPORT=file or memory' });
+  }
+  next();
+}
+
+// GET /api/dev/emails/templates — Every email template
+router.get('/templates', (req, res) => {
+  res.json({ templates: templates.listTemplates() });
+});
+
+// GET /api/dev/emails/templates/:name — A template rendered with its sample
+// data (?format=html|text|json, default html)
+router.get('/templates/:name', (req, res) => {
+  if (!templates.has(req.params.name)) return res.status(404).json({ error: 'Template not found' });
+  try {
+    const email = templates.preview(req.params.name);
+    const format = req.query.format || 'html';
+    if (format === 'text') return res.type('text').send(email.text);
+    if (format === 'json') return res.json({ email });
+    res.type('html').send(email.html);
+  } catch (err) {
+    console.error('Template preview error:', err);
+    res.status(500).json({ error: 'Failed to render template' });
+  }
+});
+
+// The inbox itself needs a local transport
+router.use(requireLocalTransport);
+
+// GET /api/dev/emails — Latest messages (?limit=)
+router.get('/', async (req, res) => {
+  try {
+    const emails = await req.inbox.list(Math.min(parseInt(req.query.limit) || 50, 200));
+    res.json({ transport: req.inbox.name, emails });
+  } catch (err) {
+    console.error('Dev inbox error:', err);
+    res.status(500).json({ error: 'Failed to list emails' });
+  }
+});
+
+// GET /api/dev/emails/:id — One message, including its HTML and text parts
+router.get('/:id', async (req, res) => {
+  try {
+    const email = await req.inbox.get(req.params.id);
+    if (!email) return res.status(404).json({ error: 'Email not found' });
+    res.json({ email });
+  } catch (err) {
+    console.error('Dev inbox error:', err);
+    res.status(500).json({ error: 'Failed to get email' });
+  }
+});
+
+// GET /api/dev/emails/:id/html — The HTML part, rendered as the recipient would see it
+router.get('/:id/html', async (req, res) => {
+  try {
+    const email = await req.inbox.get(req.params.id);
+    if (!email) return res.status(404).send('Email not found');
+    res.type('html').send(email.html);
+  } catch (err) {
+    console.error('Dev inbox error:', err);
+    res.status(500).send('Failed to get email');
+  }
+});
+
+// DELETE /api/dev/emails — Empty the inbox
+router.delete('/', async (req, res) => {
+  try {
+    const deleted = await req.inbox.clear();
+    res.json({ success: true, deleted });
+  } catch (err) {
+    console.error('Dev inbox error:', err);
+    res.status(500).json({ error: 'Failed to clear emails' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, authenticateMaster } = require('../middleware/auth');
+const { userRoom } = require('../sockets/judging');
+const { httpError } = require('../services/errors');
+const { startSession, settleSession, cancelSession, voidSession } = require('../services/sessions');
+const { withTransaction } = require('../services/transaction');
+const { postEntry, ensureTrader, reconcile } = require('../services/ledger');
+const { MARKET_MODES, DEFAULT_HOUSE_RAKE, getMarket } = require('../services/market');
+const { MAX_POSITIONS_PER_SESSION, closePosition, getNetPositions } = require('../services/trades');
+const { CONFLICT_POLICY, recordFlag } = require('../services/rating-guard');
+const { ALGORITHMS: CONSENSUS_ALGORITHMS, DEFAULT_ALGORITHM, getConsensus } = require('../services/consensus');
+const { buildReplay } = require('../services/replay');
+const { traderAnalytics } = require('../services/trader-analytics');
+const {
+  createSeason, getActiveSeason, openSeason, closeSeason, seasonStandings, traderBadges
+} = require('../services/seasons');
+const { claimDailyBonus, claimBailout, adminAdjust, getTopUps } = require('../services/top-ups');
+const { serveNextItem, submitAnswer } = require('../services/screening');
+const { MIN_CALIBRATION_SAMPLES, calibrationReport, calibrateAnchors } = require('../services/anchor-calibration');
+const { PROBATION_SESSIONS, notifyJudge } = require('../services/judge-tiers');
+const { unreadCount, markRead, markAllRead } = require('../services/notifications');
+const {
+  createEvent, startEventNow, advanceEvent, cancelEvent, getEvent, getEventMarket, placeEventTrade
+} = require('../services/events');
+const {
+  submitRequest, withdrawRequest, listCreatorRequests, listQueue, reviewRequest
+} = require('../services/judging-requests');
 
 // Helper: look up username from the correct table
 async function getUserInfo(db, userId, userType) {
@@ -73,109 +98,34 @@ router.post('/judges/apply', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /judges/screening/:applicationId — Get anchor songs for screening
+// GET /judges/screening/:applicationId — Current screening anchor (served one at a time)
 router.get('/judges/screening/:applicationId', authenticateToken, async (req, res) => {
   const db = req.app.locals.db;
   const { id: userId, type: userType } = req.user;
 
   try {
-    // Verify this application belongs to the user
-    const appResult = await db.query(
-      `SELECT id, status FROM judge_applications WHERE id = $1 AND user_id = $2 AND user_type = $3`,
-      [req.params.applicationId, userId, userType]
-    );
-    if (appResult.rows.length === 0) return res.status(404).json({ error: 'Application not found' });
-    if (appResult.rows[0].status !== 'screening') {
-      return res.status(400).json({ error: 'Application is not in screening phase' });
-    }
-
-    // Get 5 random active anchor songs
-    const anchors = await db.query(
-      `SELECT a.id, a.genre, a.difficulty, s.title, s.artist, s.audio_url, s.artwork_url
-       FROM anchor_songs a
-       JOIN songs s ON a.song_id = s.id
-       WHERE a.active = true
-       ORDER BY RANDOM() LIMIT 5`
-    );
-
-    if (anchors.rows.length < 5) {
-      return res.status(503).json({ error: 'Not enough anchor songs configured. Please try again later.' });
-    }
-
-    res.json({ songs: anchors.rows });
+    const result = await serveNextItem(db, req.params.applicationId, userId, userType);
+    res.json(result);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Screening fetch error:', err);
     res.status(500).json({ error: 'Failed to load screening test' });
   }
 });
 
-// POST /judges/screening/:applicationId/submit — Submit screening answers
+// POST /judges/screening/:applicationId/submit — Answer the current screening anchor
 router.post('/judges/screening/:applicationId/submit', authenticateToken, async (req, res) => {
   const db = req.app.locals.db;
   const { id: userId, type: userType } = req.user;
-  const { ratings } = req.body; // array of { anchorId, rating }
+  const { anchorId, rating } = req.body;
 
   try {
-    const appResult = await db.query(
-      `SELECT id, status FROM judge_applications WHERE id = $1 AND user_id = $2 AND user_type = $3`,
-      [req.params.applicationId, userId, userType]
-    );
-    if (appResult.rows.length === 0) return res.status(404).json({ error: 'Application not found' });
-    if (appResult.rows[0].status !== 'screening') {
-      return res.status(400).json({ error: 'Application is not in screening phase' });
-    }
-
-    if (!Array.isArray(ratings) || ratings.length === 0) {
-      return res.status(400).json({ error: 'Ratings array is required' });
-    }
-
-    // Score each rating against the anchor's correct_rating
-    let totalDeviation = 0;
-    let scored = 0;
-    for (const r of ratings) {
-      const anchor = await db.query(
-        'SELECT correct_rating, tolerance FROM anchor_songs WHERE id = $1',
-        [r.anchorId]
-      );
-      if (anchor.rows.length === 0) continue;
-      const deviation = Math.abs(r.rating - anchor.rows[0].correct_rating);
-      totalDeviation += deviation;
-      scored++;
-    }
-
-    if (scored === 0) {
-      return res.status(400).json({ error: 'No valid anchor songs scored' });
-    }
-
-    const avgDeviation = totalDeviation / scored;
-    const score = Math.max(0, 100 - avgDeviation * 2);
-    const passed = score >= 60 && avgDeviation <= 15;
-
-    if (passed) {
-      // Create judge record
-      await db.query(
-        `INSERT INTO judges (user_id, user_type, status) VALUES ($1, $2, 'active')
-         ON CONFLICT (user_id, user_type) DO UPDATE SET status = 'active', updated_at = NOW()`,
-        [userId, userType]
-      );
-      await db.query(
-        `UPDATE judge_applications SET status = 'approved', screening_score = $1, screening_deviation = $2, reviewed_at = NOW()
-         WHERE id = $3`,
-        [score, avgDeviation, req.params.applicationId]
-      );
-      res.json({ passed: true, score, avgDeviation });
-    } else {
-      // Cooldown: 7 days
-      const nextAttempt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-      await db.query(
-        `UPDATE judge_applications SET status = 'rejected', screening_score = $1, screening_deviation = $2,
-         rejection_reason = 'Screening score below threshold', next_attempt_date = $3, reviewed_at = NOW()
-         WHERE id = $4`,
-        [score, avgDeviation, nextAttempt, req.params.applicationId]
-      );
-      res.json({ passed: false, score, avgDeviation, next_attempt_date: nextAttempt });
-    }
+    const result = await submitAnswer(db, req.params.applicationId, userId, userType, anchorId, rating);
+    res.json(result);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, retry_after_seconds: err.retryAfterSeconds });
+    }
     console.error('Screening submit error:', err);
     res.status(500).json({ error: 'Failed to process screening' });
   }
@@ -203,13 +153,163 @@ router.get('/judges/profile', authenticateToken, async (req, res) => {
       return res.json({ isJudge: false, application: app.rows[0] || null });
     }
 
-    res.json({ isJudge: true, judge: judge.rows[0] });
+    const earnings = await db.query(
+      `SELECT COUNT(*) as sessions_rewarded, COALESCE(SUM(total_reward), 0) as total_earned
+       FROM judge_rewards WHERE judge_id = $1`,
+      [judge.rows[0].id]
+    );
+
+    res.json({ isJudge: true, judge: judge.rows[0], earnings: earnings.rows[0] });
   } catch (err) {
     console.error('Judge profile error:', err);
     res.status(500).json({ error: 'Failed to get judge profile' });
   }
 });
 
+// GET /judges/earnings — Own judging rewards per session, newest first
+router.get('/judges/earnings', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const offset = (page - 1) * limit;
+
+  try {
+    const judge = await db.query(
+      'SELECT id FROM judges WHERE user_id = $1 AND user_type = $2',
+      [userId, userType]
+    );
+    if (judge.rows.length === 0) return res.status(404).json({ error: 'Judge not found' });
+
+    const result = await db.query(
+      `SELECT r.session_id, r.rating_count, r.session_accuracy, r.participation_reward, r.accuracy_reward,
+              r.total_reward, r.created_at, js.title as session_title, js.final_consensus,
+              s.title as song_title, s.artist as song_artist
+       FROM judge_rewards r
+       JOIN judging_sessions js ON r.session_id = js.id
+       JOIN songs s ON js.song_id = s.id
+       WHERE r.judge_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [judge.rows[0].id, limit, offset]
+    );
+
+    const totals = await db.query(
+      `SELECT COUNT(*) as sessions_rewarded,
+              COALESCE(SUM(participation_reward), 0) as participation_total,
+              COALESCE(SUM(accuracy_reward), 0) as accuracy_total,
+              COALESCE(SUM(total_reward), 0) as total_earned
+       FROM judge_rewards WHERE judge_id = $1`,
+      [judge.rows[0].id]
+    );
+    const total = parseInt(totals.rows[0].sessions_rewarded);
+
+    res.json({
+      earnings: result.rows,
+      totals: totals.rows[0],
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Judge earnings error:', err);
+    res.status(500).json({ error: 'Failed to get earnings' });
+  }
+});
+
+// POST /judges/appeals — Suspended judge appeals their suspension
+router.post('/judges/appeals', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  const { reason } = req.body;
+
+  try {
+    if (!reason || !reason.trim()) return res.status(400).json({ error: 'reason is required' });
+
+    const judge = await db.query(
+      'SELECT id, status FROM judges WHERE user_id = $1 AND user_type = $2',
+      [userId, userType]
+    );
+    if (judge.rows.length === 0) return res.status(404).json({ error: 'Judge not found' });
+    if (judge.rows[0].status !== 'suspended') {
+      return res.status(400).json({ error: 'Only suspended judges can appeal' });
+    }
+
+    const pending = await db.query(
+      "SELECT id FROM judge_appeals WHERE judge_id = $1 AND status = 'pending'",
+      [judge.rows[0].id]
+    );
+    if (pending.rows.length > 0) {
+      return res.status(400).json({ error: 'You already have an appeal under review' });
+    }
+
+    const result = await db.query(
+      'INSERT INTO judge_appeals (judge_id, reason) VALUES ($1, $2) RETURNING *',
+      [judge.rows[0].id, reason.trim()]
+    );
+    res.status(201).json({ appeal: result.rows[0] });
+  } catch (err) {
+    console.error('Judge appeal error:', err);
+    res.status(500).json({ error: 'Failed to submit appeal' });
+  }
+});
+
+// GET /judges/appeals — Own appeals, newest first
+router.get('/judges/appeals', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+
+  try {
+    const result = await db.query(
+      `SELECT a.* FROM judge_appeals a
+       JOIN judges j ON a.judge_id = j.id
+       WHERE j.user_id = $1 AND j.user_type = $2
+       ORDER BY a.created_at DESC`,
+      [userId, userType]
+    );
+    res.json({ appeals: result.rows });
+  } catch (err) {
+    console.error('Get appeals error:', err);
+    res.status(500).json({ error: 'Failed to get appeals' });
+  }
+});
+
+// GET /judges/accuracy-history — Own per-session accuracy, oldest first for charting
+router.get('/judges/accuracy-history', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  try {
+    const judge = await db.query(
+      'SELECT id, accuracy_score FROM judges WHERE user_id = $1 AND user_type = $2',
+      [userId, userType]
+    );
+    if (judge.rows.length === 0) return res.status(404).json({ error: 'Not a judge' });
+
+    const result = await db.query(
+      `SELECT * FROM (
+         SELECT h.session_id, h.final_rating, h.final_consensus, h.peer_consensus, h.peer_count, h.anchor_rating,
+                h.consensus_deviation, h.anchor_deviation, h.session_accuracy, h.accuracy_after,
+                h.created_at, js.title as session_title, s.title as song_title
+         FROM judge_accuracy_history h
+         JOIN judging_sessions js ON h.session_id = js.id
+         JOIN songs s ON js.song_id = s.id
+         WHERE h.judge_id = $1
+         ORDER BY h.created_at DESC
+         LIMIT $2
+       ) recent
+       ORDER BY created_at ASC`,
+      [judge.rows[0].id, limit]
+    );
+
+    res.json({ accuracy_score: judge.rows[0].accuracy_score, history: result.rows });
+  } catch (err) {
+    console.error('Accuracy history error:', err);
+    res.status(500).json({ error: 'Failed to get accuracy history' });
+  }
+});
+
 // ========================================
 // SESSION ENDPOINTS
 // ========================================
@@ -238,18 +338,10 @@ router.get('/sessions', async (req, res) => {
     // For live sessions, compute current consensus from latest snapshots
     for (const session of result.rows) {
       if (session.status === 'live') {
-        const consensus = await db.query(
-          `SELECT AVG(sub.rating) as current_consensus, COUNT(DISTINCT sub.judge_id) as active_judges
-           FROM (
-             SELECT DISTINCT ON (judge_id) judge_id, rating
-             FROM judge_rating_snapshots
-             WHERE session_id = $1
-             ORDER BY judge_id, timestamp DESC
-           ) sub`,
-          [session.id]
-        );
-        session.current_consensus = consensus.rows[0]?.current_consensus || null;
-        session.active_judges = parseInt(consensus.rows[0]?.active_judges || 0);
+        const consensus = await getConsensus(db, session.id, session.consensus_algorithm);
+        session.current_consensus = consensus.consensus;
+        session.active_judges = consensus.judgeCount;
+        session.market = await getMarket(db, session.id);
       }
     }
 
@@ -278,21 +370,16 @@ router.get('/sessions/:id', async (req, res) => {
 
     // Current consensus
     if (data.status === 'live') {
-      const consensus = await db.query(
-        `SELECT AVG(sub.rating) as current_consensus, COUNT(DISTINCT sub.judge_id) as active_judges
-         FROM (
-           SELECT DISTINCT ON (judge_id) judge_id, rating
-           FROM judge_rating_snapshots WHERE session_id = $1
-           ORDER BY judge_id, timestamp DESC
-         ) sub`,
-        [req.params.id]
-      );
-      data.current_consensus = consensus.rows[0]?.current_consensus || null;
-      data.active_judges = parseInt(consensus.rows[0]?.active_judges || 0);
+      const consensus = await getConsensus(db, req.params.id, data.consensus_algorithm);
+      data.current_consensus = consensus.consensus;
+      data.active_judges = consensus.judgeCount;
     }
 
+    // Pools and implied odds
+    data.market = await getMarket(db, req.params.id);
+
     // Trading window status
-    data.trading_open = data.status === 'live' &&
+    data.trading_open = data.status === 'live' && !data.trading_closed_at &&
       (!data.trading_window_end || new Date(data.trading_window_end) > new Date());
 
     res.json({ session: data });
@@ -313,7 +400,7 @@ router.get('/sessions/:id/history', async (req, res) => {
          AVG(rating) as avg_rating,
          COUNT(*) as snapshot_count
        FROM judge_rating_snapshots
-       WHERE session_id = $1
+       WHERE session_id = $1 AND NOT voided
        GROUP BY bucket
        ORDER BY bucket ASC`,
       [req.params.id]
@@ -325,13 +412,39 @@ router.get('/sessions/:id/history', async (req, res) => {
   }
 });
 
+// GET /sessions/:id/replay — Full replay of an ended session: consensus curve
+// every ?resolution= seconds, anonymized judge timelines, trades and state changes
+router.get('/sessions/:id/replay', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+
+  try {
+    const replay = await buildReplay(db, req.params.id, req.query.resolution);
+    res.json({ replay });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Session replay error:', err);
+    res.status(500).json({ error: 'Failed to build session replay' });
+  }
+});
+
 // POST /sessions — Admin: create new judging session
 router.post('/sessions', authenticateMaster, async (req, res) => {
   const db = req.app.locals.db;
-  const { song_id, title, scheduled_start } = req.body;
+  const { song_id, title, scheduled_start, trading_window_minutes, judging_duration_minutes, house_rake } = req.body;
+  const marketMode = req.body.market_mode || 'fixed';
+  const consensusAlgorithm = req.body.consensus_algorithm || DEFAULT_ALGORITHM;
 
   try {
     if (!song_id) return res.status(400).json({ error: 'song_id is required' });
+    if (!MARKET_MODES.includes(marketMode)) {
+      return res.status(400).json({ error: 'market_mode must be "fixed" or "pool"' });
+    }
+    if (house_rake !== undefined && (isNaN(house_rake) || house_rake < 0 || house_rake >= 1)) {
+      return res.status(400).json({ error: 'house_rake must be between 0 and 1' });
+    }
+    if (!CONSENSUS_ALGORITHMS.includes(consensusAlgorithm)) {
+      return res.status(400).json({ error: `consensus_algorithm must be one of: ${CONSENSUS_ALGORITHMS.join(', ')}` });
+    }
 
     // Verify song exists
     const song = await db.query('SELECT id, title FROM songs WHERE id = $1', [song_id]);
@@ -339,10 +452,14 @@ router.post('/sessions', authenticateMaster, async (req, res) => {
 
     const sessionTitle = title || `Judging: ${song.rows[0].title}`;
     const result = await db.query(
-      `INSERT INTO judging_sessions (song_id, title, scheduled_start, status, created_by)
-       VALUES ($1, $2, $3, 'scheduled', $4)
+      `INSERT INTO judging_sessions (song_id, title, scheduled_start, status, created_by,
+                                     trading_window_minutes, judging_duration_minutes, market_mode, house_rake,
+                                     consensus_algorithm)
+       VALUES ($1, $2, $3, 'scheduled', $4, $5, $6, $7, $8, $9)
        RETURNING *`,
-      [song_id, sessionTitle, scheduled_start || new Date(), req.user?.id || null]
+      [song_id, sessionTitle, scheduled_start || new Date(), req.user?.id || null,
+       trading_window_minutes || null, judging_duration_minutes || null, marketMode,
+       marketMode === 'pool' ? (house_rake ?? DEFAULT_HOUSE_RAKE) : null, consensusAlgorithm]
     );
 
     res.status(201).json({ session: result.rows[0] });
@@ -362,27 +479,50 @@ router.get('/traders/profile', authenticateToken, async (req, res) => {
   const { id: userId, type: userType } = req.user;
 
   try {
-    let trader = await db.query(
-      'SELECT * FROM traders WHERE user_id = $1 AND user_type = $2',
-      [userId, userType]
-    );
-
-    if (trader.rows.length === 0) {
-      // Auto-create trader profile
-      trader = await db.query(
-        `INSERT INTO traders (user_id, user_type) VALUES ($1, $2) RETURNING *`,
-        [userId, userType]
-      );
-    }
+    // Auto-create trader profile (with its starting bonus) on first visit
+    const trader = await withTransaction(db, client => ensureTrader(client, userId, userType));
 
     const userInfo = await getUserInfo(db, userId, userType);
-    res.json({ trader: { ...trader.rows[0], username: userInfo?.username } });
+    const badges = await traderBadges(db, trader.id);
+    const topUps = await getTopUps(db, trader);
+    res.json({ trader: { ...trader, username: userInfo?.username }, badges, top_ups: topUps.status, credits: topUps.credits });
   } catch (err) {
     console.error('Trader profile error:', err);
     res.status(500).json({ error: 'Failed to get trader profile' });
   }
 });
 
+// POST /traders/daily-bonus — Claim today's bonus (plus any streak reward)
+router.post('/traders/daily-bonus', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  try {
+    const result = await claimDailyBonus(db, userId, userType);
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Daily bonus error:', err);
+    res.status(500).json({ error: 'Failed to claim daily bonus' });
+  }
+});
+
+// POST /traders/bailout — Top a nearly empty balance back up (with cooldown)
+router.post('/traders/bailout', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  try {
+    const result = await claimBailout(db, userId, userType);
+    res.json(result);
+  } catch (err) {
+    if (err.retryAfterSeconds) {
+      return res.status(err.status).json({ error: err.message, retry_after_seconds: err.retryAfterSeconds });
+    }
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Bailout error:', err);
+    res.status(500).json({ error: 'Failed to claim bailout' });
+  }
+});
+
 // POST /trades — Place a trade
 router.post('/trades', authenticateToken, async (req, res) => {
   const db = req.app.locals.db;
@@ -400,78 +540,109 @@ router.post('/trades', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Amount must be between 0.01 and 50' });
     }
 
-    // Verify session is live and trading window open
-    const session = await db.query(
-      'SELECT id, status, trading_window_end FROM judging_sessions WHERE id = $1',
-      [sessionId]
-    );
-    if (session.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
-    if (session.rows[0].status !== 'live') {
-      return res.status(400).json({ error: 'Session is not live' });
-    }
-    if (session.rows[0].trading_window_end && new Date(session.rows[0].trading_window_end) < new Date()) {
-      return res.status(400).json({ error: 'Trading window has closed' });
-    }
+    // Lock the session (so settlement can't run underneath us) and the
+    // trader row (so two concurrent trades can't both pass the balance check)
+    const trade = await withTransaction(db, async (client) => {
+      // Verify session is live and trading window open
+      const session = await client.query(
+        'SELECT id, status, trading_window_end, trading_closed_at, consensus_algorithm FROM judging_sessions WHERE id = $1 FOR SHARE',
+        [sessionId]
+      );
+      if (session.rows.length === 0) throw httpError(404, 'Session not found');
+      if (session.rows[0].status !== 'live') {
+        throw httpError(400, 'Session is not live');
+      }
+      if (session.rows[0].trading_closed_at ||
+          (session.rows[0].trading_window_end && new Date(session.rows[0].trading_window_end) < new Date())) {
+        throw httpError(400, 'Trading window has closed');
+      }
 
-    // Get or create trader
-    let trader = await db.query(
-      'SELECT id, play_money_balance FROM traders WHERE user_id = $1 AND user_type = $2',
-      [userId, userType]
-    );
-    if (trader.rows.length === 0) {
-      trader = await db.query(
-        'INSERT INTO traders (user_id, user_type) VALUES ($1, $2) RETURNING id, play_money_balance',
-        [userId, userType]
+      // Judges may not bet on a session they are rating
+      const judging = await client.query(
+        `SELECT j.id FROM judges j
+         WHERE j.user_id = $1 AND j.user_type = $2
+           AND EXISTS (SELECT 1 FROM judge_rating_snapshots s WHERE s.judge_id = j.id AND s.session_id = $3)`,
+        [userId, userType, sessionId]
       );
-    }
-    const traderRow = trader.rows[0];
+      if (judging.rows.length > 0) {
+        await recordFlag(db, judging.rows[0].id, sessionId, 'trade_conflict', { policy: CONFLICT_POLICY, source: 'trade' });
+        if (CONFLICT_POLICY === 'block') {
+          throw httpError(403, 'You are judging this session and cannot trade on it');
+        }
+      }
 
-    if (parseFloat(traderRow.play_money_balance) < amount) {
-      return res.status(400).json({ error: 'Insufficient balance' });
-    }
+      // Get or create trader
+      const traderRow = await ensureTrader(client, userId, userType);
 
-    // Check for existing trade on this session
-    const existing = await db.query(
-      'SELECT id FROM trades WHERE session_id = $1 AND user_id = $2 AND user_type = $3 AND status = $4',
-      [sessionId, userId, userType, 'pending']
-    );
-    if (existing.rows.length > 0) {
-      return res.status(400).json({ error: 'You already have an active trade on this session' });
-    }
+      if (parseFloat(traderRow.play_money_balance) < amount) {
+        throw httpError(400, 'Insufficient balance');
+      }
 
-    // Get current consensus as entry sentiment
-    const consensus = await db.query(
-      `SELECT AVG(sub.rating) as current_consensus
-       FROM (
-         SELECT DISTINCT ON (judge_id) judge_id, rating
-         FROM judge_rating_snapshots WHERE session_id = $1
-         ORDER BY judge_id, timestamp DESC
-       ) sub`,
-      [sessionId]
-    );
-    const entrySentiment = consensus.rows[0]?.current_consensus || 50;
+      // Cap the number of open positions per session
+      const existing = await client.query(
+        'SELECT COUNT(*) as cnt FROM trades WHERE session_id = $1 AND user_id = $2 AND user_type = $3 AND status = $4',
+        [sessionId, userId, userType, 'pending']
+      );
+      if (parseInt(existing.rows[0].cnt) >= MAX_POSITIONS_PER_SESSION) {
+        throw httpError(400, `You can hold at most ${MAX_POSITIONS_PER_SESSION} open positions per session`);
+      }
 
-    // Deduct balance and create trade
-    await db.query(
-      'UPDATE traders SET play_money_balance = play_money_balance - $1, total_trades = total_trades + 1, last_trade_at = NOW() WHERE id = $2',
-      [amount, traderRow.id]
-    );
+      // Get current consensus as entry sentiment
+      const { consensus } = await getConsensus(client, sessionId, session.rows[0].consensus_algorithm);
+      const entrySentiment = consensus ?? 50;
 
-    const trade = await db.query(
-      `INSERT INTO trades (session_id, user_id, user_type, trader_id, direction, entry_sentiment, amount, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
-       RETURNING *`,
-      [sessionId, userId, userType, traderRow.id, direction, entrySentiment, amount]
-    );
+      // Create trade and deduct the stake
+      const inserted = await client.query(
+        `INSERT INTO trades (session_id, user_id, user_type, trader_id, direction, entry_sentiment, amount, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
+         RETURNING *`,
+        [sessionId, userId, userType, traderRow.id, direction, entrySentiment, amount]
+      );
+      await postEntry(client, {
+        traderId: traderRow.id,
+        type: 'trade_stake',
+        amount: -amount,
+        tradeId: inserted.rows[0].id,
+        sessionId
+      });
+      await client.query(
+        'UPDATE traders SET total_trades = total_trades + 1, last_trade_at = NOW() WHERE id = $1',
+        [traderRow.id]
+      );
+      return inserted.rows[0];
+    });
 
-    res.status(201).json({ trade: trade.rows[0] });
+    res.status(201).json({ trade });
+
+    const io = req.app.locals.io;
+    if (io) {
+      const judging = io.of('/judging');
+      judging.to(userRoom(userId, userType)).emit('trade-confirmed', { trade });
+
+      // Broadcast the fill (without who placed it) and updated pools/odds
+      getMarket(db, sessionId)
+        .then(market => {
+          judging.to(`session:${sessionId}`).emit('trade-placed', {
+            sessionId,
+            direction: trade.direction,
+            amount: parseFloat(trade.amount),
+            overVolume: market.overPool,
+            underVolume: market.underPool,
+            tradeCount: market.overCount + market.underCount,
+            timestamp: trade.created_at
+          });
+          judging.to(`session:${sessionId}`).emit('market-update', { sessionId, ...market });
+        })
+        .catch(err => console.error('Market update broadcast error:', err));
+    }
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Place trade error:', err);
     res.status(500).json({ error: 'Failed to place trade' });
   }
 });
 
-// GET /trades/active — User's pending trades
+// GET /trades/active — User's pending trades plus net position per session
 router.get('/trades/active', authenticateToken, async (req, res) => {
   const db = req.app.locals.db;
   const { id: userId, type: userType } = req.user;
@@ -487,13 +658,38 @@ router.get('/trades/active', authenticateToken, async (req, res) => {
        ORDER BY t.created_at DESC`,
       [userId, userType]
     );
-    res.json({ trades: result.rows });
+    const positions = await getNetPositions(db, userId, userType);
+
+    res.json({ trades: result.rows, positions });
   } catch (err) {
     console.error('Active trades error:', err);
     res.status(500).json({ error: 'Failed to get active trades' });
   }
 });
 
+// POST /trades/:id/close — Exit a position early at the current consensus
+router.post('/trades/:id/close', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+
+  try {
+    const trade = await closePosition(db, userId, userType, req.params.id);
+    res.json({ trade });
+
+    const io = req.app.locals.io;
+    if (io) {
+      io.of('/judging').to(userRoom(userId, userType)).emit('trade-closed', { trade });
+      getMarket(db, trade.session_id)
+        .then(market => io.of('/judging').to(`session:${trade.session_id}`).emit('market-update', { sessionId: trade.session_id, ...market }))
+        .catch(err => console.error('Market update broadcast error:', err));
+    }
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Close position error:', err);
+    res.status(500).json({ error: 'Failed to close position' });
+  }
+});
+
 // GET /trades/history — Settled trade history
 router.get('/trades/history', authenticateToken, async (req, res) => {
   const db = req.app.locals.db;
@@ -508,15 +704,15 @@ router.get('/trades/history', authenticateToken, async (req, res) => {
        FROM trades t
        JOIN judging_sessions js ON t.session_id = js.id
        JOIN songs s ON js.song_id = s.id
-       WHERE t.user_id = $1 AND t.user_type = $2 AND t.status = 'settled'
+       WHERE t.user_id = $1 AND t.user_type = $2 AND t.status IN ('settled', 'closed', 'voided')
        ORDER BY t.settled_at DESC
        LIMIT $3 OFFSET $4`,
       [userId, userType, limit, offset]
     );
 
     const countResult = await db.query(
-      'SELECT COUNT(*) as total FROM trades WHERE user_id = $1 AND user_type = $2 AND status = $3',
-      [userId, userType, 'settled']
+      `SELECT COUNT(*) as total FROM trades WHERE user_id = $1 AND user_type = $2 AND status IN ('settled', 'closed', 'voided')`,
+      [userId, userType]
     );
 
     res.json({
@@ -531,6 +727,70 @@ router.get('/trades/history', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /traders/analytics — Own portfolio analytics (?from=&to= dates)
+router.get('/traders/analytics', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+
+  try {
+    const analytics = await traderAnalytics(db, userId, userType, { from: req.query.from, to: req.query.to });
+    res.json(analytics);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Trader analytics error:', err);
+    res.status(500).json({ error: 'Failed to get analytics' });
+  }
+});
+
+// GET /traders/ledger — Own play-money ledger (every debit and credit)
+router.get('/traders/ledger', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const offset = (page - 1) * limit;
+
+  try {
+    const trader = await db.query(
+      'SELECT id, play_money_balance FROM traders WHERE user_id = $1 AND user_type = $2',
+      [userId, userType]
+    );
+    if (trader.rows.length === 0) {
+      return res.json({ entries: [], balance: null, total: 0, page, pages: 0 });
+    }
+
+    const result = await db.query(
+      `SELECT le.id, le.entry_type, le.amount, le.balance_after, le.trade_id, le.session_id,
+              le.event_trade_id, le.memo, le.created_at, js.title as session_title
+       FROM ledger_entries le
+       LEFT JOIN judging_sessions js ON le.session_id = js.id
+       WHERE le.trader_id = $1 AND le.account = 'trader'
+       ORDER BY le.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [trader.rows[0].id, limit, offset]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total, COALESCE(SUM(amount), 0) as ledger_balance
+       FROM ledger_entries WHERE trader_id = $1 AND account = 'trader'`,
+      [trader.rows[0].id]
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      entries: result.rows,
+      balance: trader.rows[0].play_money_balance,
+      ledger_balance: countResult.rows[0].ledger_balance,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Trader ledger error:', err);
+    res.status(500).json({ error: 'Failed to get ledger' });
+  }
+});
+
 // ========================================
 // LEADERBOARD ENDPOINTS
 // ========================================
@@ -538,9 +798,22 @@ router.get('/trades/history', authenticateToken, async (req, res) => {
 // GET /leaderboards/traders — Trader rankings
 router.get('/leaderboards/traders', async (req, res) => {
   const db = req.app.locals.db;
-  const { period } = req.query; // daily, weekly, monthly, alltime
+  const { period, season } = req.query; // daily, weekly, monthly, alltime; season=current or a season id
 
   try {
+    if (season) {
+      const seasonId = season === 'current' ? (await getActiveSeason(db))?.id : season;
+      if (!seasonId) return res.json({ leaderboard: [], season: null });
+
+      const { season: seasonRow, standings } = await seasonStandings(db, seasonId, 50);
+      for (const row of standings) {
+        const info = await getUserInfo(db, row.user_id, row.user_type);
+        row.username = info?.username || 'Unknown';
+        row.period_profit = row.profit;
+      }
+      return res.json({ leaderboard: standings, season: seasonRow });
+    }
+
     let dateFilter = '';
     if (period === 'daily') dateFilter = "AND t.settled_at >= NOW() - INTERVAL '1 day'";
     else if (period === 'weekly') dateFilter = "AND t.settled_at >= NOW() - INTERVAL '7 days'";
@@ -550,9 +823,9 @@ router.get('/leaderboards/traders', async (req, res) => {
       SELECT
         tr.id, tr.user_id, tr.user_type, tr.play_money_balance,
         tr.total_trades, tr.winning_trades, tr.best_streak,
-        COALESCE(SUM(CASE WHEN t.outcome = 'win' THEN t.payout - t.amount ELSE -t.amount END), 0) as period_profit
+        COALESCE(SUM(COALESCE(t.payout, 0) - t.amount), 0) as period_profit
       FROM traders tr
-      LEFT JOIN trades t ON tr.id = t.trader_id AND t.status = 'settled' ${dateFilter}
+      LEFT JOIN trades t ON tr.id = t.trader_id AND t.status IN ('settled', 'closed') ${dateFilter}
       GROUP BY tr.id
       ORDER BY period_profit DESC
       LIMIT 50
@@ -566,20 +839,55 @@ router.get('/leaderboards/traders', async (req, res) => {
 
     res.json({ leaderboard: result.rows });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Trader leaderboard error:', err);
     res.status(500).json({ error: 'Failed to get leaderboard' });
   }
 });
 
+// GET /seasons — All trading seasons, newest first
+router.get('/seasons', async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const result = await db.query(
+      `SELECT s.*,
+              (SELECT COUNT(*) FROM season_standings WHERE season_id = s.id AND rank IS NOT NULL) as ranked_traders
+       FROM seasons s
+       ORDER BY COALESCE(s.starts_at, s.created_at) DESC`
+    );
+    res.json({ seasons: result.rows });
+  } catch (err) {
+    console.error('Get seasons error:', err);
+    res.status(500).json({ error: 'Failed to get seasons' });
+  }
+});
+
+// GET /seasons/:id — Season with its standings (archived once closed)
+router.get('/seasons/:id', async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const { season, standings } = await seasonStandings(db, req.params.id, 100);
+    for (const row of standings) {
+      const info = await getUserInfo(db, row.user_id, row.user_type);
+      row.username = info?.username || 'Unknown';
+    }
+    res.json({ season, standings });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Get season error:', err);
+    res.status(500).json({ error: 'Failed to get season' });
+  }
+});
+
 // GET /leaderboards/judges — Judge rankings
 router.get('/leaderboards/judges', async (req, res) => {
   const db = req.app.locals.db;
 
   try {
     const result = await db.query(`
-      SELECT id, user_id, user_type, accuracy_score, total_ratings, sessions_judged, created_at
+      SELECT id, user_id, user_type, status, tier, accuracy_score, total_ratings, sessions_judged, created_at
       FROM judges
-      WHERE status = 'active'
+      WHERE status IN ('active', 'probation')
       ORDER BY accuracy_score DESC, sessions_judged DESC
       LIMIT 50
     `);
@@ -597,24 +905,171 @@ router.get('/leaderboards/judges', async (req, res) => {
 });
 
 // ========================================
-// WAITLIST ENDPOINTS
+// EVENT ENDPOINTS
 // ========================================
 
-// POST /waitlist — Join waitlist (no auth needed)
-router.post('/waitlist', async (req, res) => {
+// GET /events — Multi-song events (?status=scheduled|live|completed|all)
+router.get('/events', async (req, res) => {
   const db = req.app.locals.db;
-  const { email, name, wants_to_judge, wants_to_trade, wants_to_upload, referral_source, referral_code } = req.body;
-
+  const status = req.query.status || 'all';
   try {
-    if (!email) return res.status(400).json({ error: 'Email is required' });
-
-    // Check if already on waitlist
-    const existing = await db.query('SELECT id, status FROM waitlist WHERE email = $1', [email]);
-    if (existing.rows.length > 0) {
-      return res.status(400).json({ error: 'Email already on waitlist', status: existing.rows[0].status });
+    const params = [];
+    let where = '';
+    if (status !== 'all') {
+      params.push(status);
+      where = 'WHERE ev.status = $1';
     }
+    const result = await db.query(
+      `SELECT ev.*,
+              (SELECT COUNT(*) FROM event_entries WHERE event_id = ev.id) as entry_count,
+              (SELECT s.title FROM event_entries e JOIN songs s ON e.song_id = s.id
+               WHERE e.id = ev.winner_entry_id) as winner_song_title
+       FROM judging_events ev
+       ${where}
+       ORDER BY ev.scheduled_start DESC
+       LIMIT 100`,
+      params
+    );
+    res.json({ events: result.rows });
+  } catch (err) {
+    console.error('Get events error:', err);
+    res.status(500).json({ error: 'Failed to get events' });
+  }
+});
 
-    // Resolve referral
+// GET /events/:id — Event with entries, bracket, sessions and winner market
+router.get('/events/:id', async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const event = await getEvent(db, req.params.id);
+    res.json({ event });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Get event error:', err);
+    res.status(500).json({ error: 'Failed to get event' });
+  }
+});
+
+// POST /events/:id/trades — Stake on which song wins the event
+router.post('/events/:id/trades', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const io = req.app.locals.io;
+  const { id: userId, type: userType } = req.user;
+  const { entry_id, amount } = req.body;
+
+  try {
+    if (!entry_id || !amount) {
+      return res.status(400).json({ error: 'entry_id and amount are required' });
+    }
+    if (amount <= 0 || amount > 50) {
+      return res.status(400).json({ error: 'Amount must be between 0.01 and 50' });
+    }
+
+    const trade = await placeEventTrade(db, userId, userType, req.params.id, entry_id, parseFloat(amount));
+
+    if (io) {
+      const market = await getEventMarket(db, req.params.id);
+      io.of('/judging').to(`event:${req.params.id}`).emit('event-market-update', { eventId: req.params.id, market });
+    }
+
+    res.status(201).json({ trade });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Place event trade error:', err);
+    res.status(500).json({ error: 'Failed to place event trade' });
+  }
+});
+
+// GET /events/:id/my-trades — Own stakes on an event
+router.get('/events/:id/my-trades', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  try {
+    const result = await db.query(
+      `SELECT t.*, s.title as song_title
+       FROM event_trades t
+       JOIN event_entries e ON t.entry_id = e.id
+       JOIN songs s ON e.song_id = s.id
+       WHERE t.event_id = $1 AND t.user_id = $2 AND t.user_type = $3
+       ORDER BY t.created_at DESC`,
+      [req.params.id, userId, userType]
+    );
+    res.json({ trades: result.rows });
+  } catch (err) {
+    console.error('Get event trades error:', err);
+    res.status(500).json({ error: 'Failed to get event trades' });
+  }
+});
+
+// ========================================
+// CREATOR JUDGING REQUESTS
+// ========================================
+
+// POST /requests — Creator: queue one of their songs for judging
+router.post('/requests', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  const { song_id, notes } = req.body;
+
+  try {
+    if (userType !== 'creator') return res.status(403).json({ error: 'Only creators can request judging' });
+    const request = await submitRequest(db, userId, song_id, notes);
+    res.status(201).json({ request });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Submit judging request error:', err);
+    res.status(500).json({ error: 'Failed to submit judging request' });
+  }
+});
+
+// GET /requests — Creator: own requests with session results
+router.get('/requests', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  try {
+    if (userType !== 'creator') return res.status(403).json({ error: 'Only creators can request judging' });
+    const requests = await listCreatorRequests(db, userId);
+    res.json({ requests });
+  } catch (err) {
+    console.error('Get judging requests error:', err);
+    res.status(500).json({ error: 'Failed to get judging requests' });
+  }
+});
+
+// DELETE /requests/:id — Creator: withdraw a request that isn't scheduled yet
+router.delete('/requests/:id', authenticateToken, async (req, res) => {
+  const db = req.app.locals.db;
+  const { id: userId, type: userType } = req.user;
+  try {
+    if (userType !== 'creator') return res.status(403).json({ error: 'Only creators can request judging' });
+    const request = await withdrawRequest(db, userId, req.params.id);
+    res.json({ request });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Withdraw judging request error:', err);
+    res.status(500).json({ error: 'Failed to withdraw judging request' });
+  }
+});
+
+// ========================================
+// WAITLIST ENDPOINTS
+// ========================================
+
+// POST /waitlist — Join waitlist (no auth needed)
+router.post('/waitlist', async (req, res) => {
+  const db = req.app.locals.db;
+  const { email, name, wants_to_judge, wants_to_trade, wants_to_upload, referral_source, referral_code } = req.body;
+
+  try {
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+
+    // Check if already on waitlist
+    const existing = await db.query('SELECT id, status FROM waitlist WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: 'Email already on waitlist', status: existing.rows[0].status });
+    }
+
+    // Resolve referral
     let referredBy = null;
     if (referral_code) {
       const referrer = await db.query('SELECT id FROM waitlist WHERE referral_code = $1', [referral_code]);
@@ -681,12 +1136,8 @@ router.get('/notifications', authenticateToken, async (req, res) => {
 
     const result = await db.query(query, params);
 
-    const countResult = await db.query(
-      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = $1 AND user_type = $2 AND read = false',
-      [userId, userType]
-    );
-
-    res.json({ notifications: result.rows, unread_count: parseInt(countResult.rows[0].unread) });
+    const unreadTotal = await unreadCount(db, userId, userType);
+    res.json({ notifications: result.rows, unread_count: unreadTotal });
   } catch (err) {
     console.error('Notifications error:', err);
     res.status(500).json({ error: 'Failed to get notifications' });
@@ -699,11 +1150,8 @@ router.patch('/notifications/:id/read', authenticateToken, async (req, res) => {
   const { id: userId, type: userType } = req.user;
 
   try {
-    const result = await db.query(
-      'UPDATE notifications SET read = true WHERE id = $1 AND user_id = $2 AND user_type = $3 RETURNING id',
-      [req.params.id, userId, userType]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Notification not found' });
+    const found = await markRead(db, req.app.locals.io, userId, userType, req.params.id);
+    if (!found) return res.status(404).json({ error: 'Notification not found' });
     res.json({ success: true });
   } catch (err) {
     console.error('Mark read error:', err);
@@ -717,11 +1165,8 @@ router.patch('/notifications/read-all', authenticateToken, async (req, res) => {
   const { id: userId, type: userType } = req.user;
 
   try {
-    await db.query(
-      'UPDATE notifications SET read = true WHERE user_id = $1 AND user_type = $2 AND read = false',
-      [userId, userType]
-    );
-    res.json({ success: true });
+    const marked = await markAllRead(db, req.app.locals.io, userId, userType);
+    res.json({ success: true, marked });
   } catch (err) {
     console.error('Mark all read error:', err);
     res.status(500).json({ error: 'Failed to mark notifications' });
@@ -738,23 +1183,22 @@ router.patch('/sessions/:id/start', authenticateMaster, async (req, res) => {
   const { trading_window_minutes } = req.body;
 
   try {
-    const session = await db.query('SELECT id, status FROM judging_sessions WHERE id = $1', [req.params.id]);
+    const session = await db.query(
+      'SELECT id, status, trading_window_minutes FROM judging_sessions WHERE id = $1',
+      [req.params.id]
+    );
     if (session.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
     if (session.rows[0].status !== 'scheduled') {
       return res.status(400).json({ error: 'Session is not in scheduled state' });
     }
 
-    const tradingEnd = trading_window_minutes
-      ? new Date(Date.now() + trading_window_minutes * 60 * 1000)
-      : null;
-
-    const result = await db.query(
-      `UPDATE judging_sessions SET status = 'live', actual_start = NOW(), trading_window_end = $1
-       WHERE id = $2 RETURNING *`,
-      [tradingEnd, req.params.id]
+    const started = await startSession(
+      db, req.app.locals.io, req.params.id,
+      trading_window_minutes || session.rows[0].trading_window_minutes
     );
+    if (!started) return res.status(400).json({ error: 'Session is not in scheduled state' });
 
-    res.json({ session: result.rows[0] });
+    res.json({ session: started });
   } catch (err) {
     console.error('Start session error:', err);
     res.status(500).json({ error: 'Failed to start session' });
@@ -764,147 +1208,59 @@ router.patch('/sessions/:id/start', authenticateMaster, async (req, res) => {
 // POST /sessions/:id/settle — Admin: settle session and resolve trades
 router.post('/sessions/:id/settle', authenticateMaster, async (req, res) => {
   const db = req.app.locals.db;
-  const sessionId = req.params.id;
 
   try {
-    const session = await db.query(
-      'SELECT id, status FROM judging_sessions WHERE id = $1',
-      [sessionId]
-    );
-    if (session.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
-    if (session.rows[0].status === 'completed') {
-      return res.status(400).json({ error: 'Session already settled' });
-    }
-
-    // Calculate final consensus from each judge's latest rating
-    const consensus = await db.query(
-      `SELECT AVG(sub.rating) as final_consensus, COUNT(DISTINCT sub.judge_id) as judge_count
-       FROM (
-         SELECT DISTINCT ON (judge_id) judge_id, rating
-         FROM judge_rating_snapshots
-         WHERE session_id = $1
-         ORDER BY judge_id, timestamp DESC
-       ) sub`,
-      [sessionId]
-    );
-
-    const finalConsensus = parseFloat(consensus.rows[0]?.final_consensus) || 0;
-    const judgeCount = parseInt(consensus.rows[0]?.judge_count) || 0;
-
-    // Update session to completed
-    await db.query(
-      `UPDATE judging_sessions SET status = 'completed', final_consensus = $1, judge_count = $2, end_time = NOW()
-       WHERE id = $3`,
-      [finalConsensus, judgeCount, sessionId]
-    );
-
-    // Get all pending trades for this session
-    const trades = await db.query(
-      `SELECT t.*, tr.id as trader_table_id
-       FROM trades t
-       JOIN traders tr ON t.trader_id = tr.id
-       WHERE t.session_id = $1 AND t.status = 'pending'`,
-      [sessionId]
-    );
-
-    let settled = 0;
-    for (const trade of trades.rows) {
-      const entry = parseFloat(trade.entry_sentiment);
-      const amount = parseFloat(trade.amount);
-      let outcome, payout;
-
-      if (Math.abs(finalConsensus - entry) < 0.5) {
-        outcome = 'push';
-        payout = amount;
-      } else if (trade.direction === 'over' && finalConsensus > entry) {
-        outcome = 'win';
-        payout = amount * 1.8;
-      } else if (trade.direction === 'under' && finalConsensus < entry) {
-        outcome = 'win';
-        payout = amount * 1.8;
-      } else {
-        outcome = 'loss';
-        payout = 0;
-      }
-
-      // Update trade record
-      await db.query(
-        `UPDATE trades SET status = 'settled', outcome = $1, final_sentiment = $2, payout = $3, settled_at = NOW()
-         WHERE id = $4`,
-        [outcome, finalConsensus, payout, trade.id]
-      );
-
-      // Update trader balance and stats
-      const profitLoss = payout - amount;
-      if (outcome === 'win') {
-        await db.query(
-          `UPDATE traders SET
-             play_money_balance = play_money_balance + $1,
-             winning_trades = winning_trades + 1,
-             current_streak = current_streak + 1,
-             best_streak = GREATEST(best_streak, current_streak + 1),
-             total_profit_loss = total_profit_loss + $2
-           WHERE id = $3`,
-          [payout, profitLoss, trade.trader_table_id]
-        );
-      } else if (outcome === 'loss') {
-        await db.query(
-          `UPDATE traders SET
-             losing_trades = losing_trades + 1,
-             current_streak = 0,
-             total_profit_loss = total_profit_loss - $1
-           WHERE id = $2`,
-          [amount, trade.trader_table_id]
-        );
-      } else {
-        // Push — return money, no stat change
-        await db.query(
-          'UPDATE traders SET play_money_balance = play_money_balance + $1 WHERE id = $2',
-          [payout, trade.trader_table_id]
-        );
-      }
-      settled++;
-    }
-
-    // Update judge session counts
-    const judgeIds = await db.query(
-      `SELECT DISTINCT judge_id FROM judge_rating_snapshots WHERE session_id = $1`,
-      [sessionId]
-    );
-    for (const row of judgeIds.rows) {
-      const ratingCount = await db.query(
-        'SELECT COUNT(*) as cnt FROM judge_rating_snapshots WHERE session_id = $1 AND judge_id = $2',
-        [sessionId, row.judge_id]
-      );
-      await db.query(
-        `UPDATE judges SET sessions_judged = sessions_judged + 1, total_ratings = total_ratings + $1 WHERE id = $2`,
-        [parseInt(ratingCount.rows[0].cnt), row.judge_id]
-      );
-    }
-
-    // Broadcast session ended via Socket.IO
-    const io = req.app.locals.io;
-    if (io) {
-      io.of('/judging').to(`session:${sessionId}`).emit('session-ended', {
-        sessionId,
-        finalConsensus: Math.round(finalConsensus * 100) / 100,
-        judgeCount,
-        tradesSettled: settled
-      });
-    }
-
+    const summary = await settleSession(db, req.app.locals.io, req.params.id);
     res.json({
       success: true,
-      finalConsensus: Math.round(finalConsensus * 100) / 100,
-      judgeCount,
-      tradesSettled: settled
+      finalConsensus: summary.finalConsensus,
+      judgeCount: summary.judgeCount,
+      tradesSettled: summary.tradesSettled,
+      alreadySettled: summary.alreadySettled
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('Settle session error:', err);
     res.status(500).json({ error: 'Failed to settle session' });
   }
 });
 
+// POST /sessions/:id/cancel — Admin: call off a scheduled session
+router.post('/sessions/:id/cancel', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+
+  try {
+    const summary = await cancelSession(db, req.app.locals.io, req.params.id, {
+      reason: req.body.reason,
+      voidedBy: req.user?.id || null
+    });
+    const { results, ...rest } = summary;
+    res.json({ success: true, ...rest });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Cancel session error:', err);
+    res.status(500).json({ error: 'Failed to cancel session' });
+  }
+});
+
+// POST /sessions/:id/void — Admin: void a live session and refund its pending trades
+router.post('/sessions/:id/void', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+
+  try {
+    const summary = await voidSession(db, req.app.locals.io, req.params.id, {
+      reason: req.body.reason,
+      voidedBy: req.user?.id || null
+    });
+    const { results, ...rest } = summary;
+    res.json({ success: true, ...rest });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Void session error:', err);
+    res.status(500).json({ error: 'Failed to void session' });
+  }
+});
+
 // ========================================
 // ANCHOR SONG MANAGEMENT (ADMIN)
 // ========================================
@@ -956,6 +1312,62 @@ router.post('/admin/anchors', authenticateMaster, async (req, res) => {
   }
 });
 
+// GET /admin/anchors/calibration — Drift, pass rate and discrimination per anchor
+router.get('/admin/anchors/calibration', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    let report = await calibrationReport(db);
+    if (req.query.flagged === 'true') report = report.filter(r => r.drift_flagged);
+    res.json({ min_samples: MIN_CALIBRATION_SAMPLES, anchors: report });
+  } catch (err) {
+    console.error('Anchor calibration report error:', err);
+    res.status(500).json({ error: 'Failed to build calibration report' });
+  }
+});
+
+// POST /admin/anchors/calibrate — Recompute and store drift flags and suggestions
+router.post('/admin/anchors/calibrate', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const report = await calibrateAnchors(db);
+    res.json({ anchors: report, flagged: report.filter(r => r.drift_flagged).length });
+  } catch (err) {
+    console.error('Anchor calibration error:', err);
+    res.status(500).json({ error: 'Failed to calibrate anchors' });
+  }
+});
+
+// POST /admin/anchors/:id/apply-calibration — Accept the suggested (or given) values
+router.post('/admin/anchors/:id/apply-calibration', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const { correct_rating, tolerance } = req.body;
+
+  try {
+    const anchor = await db.query('SELECT * FROM anchor_songs WHERE id = $1', [req.params.id]);
+    if (anchor.rows.length === 0) return res.status(404).json({ error: 'Anchor not found' });
+    const a = anchor.rows[0];
+
+    const rating = correct_rating ?? a.suggested_rating;
+    const newTolerance = tolerance ?? a.suggested_tolerance ?? a.tolerance;
+    if (rating === null || rating === undefined) {
+      return res.status(400).json({ error: 'No suggested rating yet; run calibration or pass correct_rating' });
+    }
+    if (isNaN(rating) || rating < 0 || rating > 100 || isNaN(newTolerance) || newTolerance < 0 || newTolerance > 100) {
+      return res.status(400).json({ error: 'correct_rating and tolerance must be between 0 and 100' });
+    }
+
+    const result = await db.query(
+      `UPDATE anchor_songs SET correct_rating = $1, tolerance = $2, drift_flagged = false, recalibrated_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [Math.round(rating), Math.round(newTolerance), req.params.id]
+    );
+    res.json({ anchor: result.rows[0] });
+  } catch (err) {
+    console.error('Apply anchor calibration error:', err);
+    res.status(500).json({ error: 'Failed to apply calibration' });
+  }
+});
+
 // DELETE /admin/anchors/:id — Remove an anchor
 router.delete('/admin/anchors/:id', authenticateMaster, async (req, res) => {
   const db = req.app.locals.db;
@@ -969,7 +1381,380 @@ router.delete('/admin/anchors/:id', authenticateMaster, async (req, res) => {
   }
 });
 
-// GET /admin/sessions — List all sessions for admin management
+// POST /admin/traders/:id/grant — Credit play money to a trader
+router.post('/admin/traders/:id/grant', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const amount = parseFloat(req.body.amount);
+
+  try {
+    if (!amount || amount <= 0) return res.status(400).json({ error: 'Amount must be between 0.01 and 10000' });
+    const { credit, balance } = await adminAdjust(db, req.params.id, amount, req.body.reason, 'master');
+    res.json({ success: true, balance, credit });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin grant error:', err);
+    res.status(500).json({ error: 'Failed to grant play money' });
+  }
+});
+
+// POST /admin/traders/:id/clawback — Remove play money from a trader
+router.post('/admin/traders/:id/clawback', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const amount = parseFloat(req.body.amount);
+
+  try {
+    if (!amount || amount <= 0) return res.status(400).json({ error: 'Amount must be between 0.01 and 10000' });
+    const { credit, balance } = await adminAdjust(db, req.params.id, -amount, req.body.reason, 'master');
+    res.json({ success: true, balance, credit });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Admin clawback error:', err);
+    res.status(500).json({ error: 'Failed to claw back play money' });
+  }
+});
+
+// GET /admin/traders/credits — Audit trail of credits (?kind=admin_grant|admin_clawback|bailout|..., ?trader_id=)
+router.get('/admin/traders/credits', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const { kind, trader_id } = req.query;
+  try {
+    const result = await db.query(
+      `SELECT c.*, tr.user_id, tr.user_type
+       FROM trader_credits c
+       JOIN traders tr ON tr.id = c.trader_id
+       WHERE ($1::text IS NULL OR c.kind = $1) AND ($2::uuid IS NULL OR c.trader_id = $2)
+       ORDER BY c.created_at DESC
+       LIMIT 200`,
+      [kind || null, trader_id || null]
+    );
+    for (const row of result.rows) {
+      const info = await getUserInfo(db, row.user_id, row.user_type);
+      row.username = info?.username || 'Unknown';
+    }
+    res.json({ credits: result.rows });
+  } catch (err) {
+    console.error('Admin trader credits error:', err);
+    res.status(500).json({ error: 'Failed to get trader credits' });
+  }
+});
+
+// GET /admin/ledger/reconciliation — Traders whose balance disagrees with their ledger
+router.get('/admin/ledger/reconciliation', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const report = await reconcile(db);
+    for (const row of report.mismatched_traders) {
+      const info = await getUserInfo(db, row.user_id, row.user_type);
+      row.username = info?.username || 'Unknown';
+    }
+    res.json({ ...report, ok: report.mismatched_traders.length === 0 && report.unbalanced_journals.length === 0 });
+  } catch (err) {
+    console.error('Ledger reconciliation error:', err);
+    res.status(500).json({ error: 'Failed to reconcile ledger' });
+  }
+});
+
+// GET /admin/integrity-flags — Suspicious judge activity for review
+router.get('/admin/integrity-flags', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const status = req.query.status || 'open';
+
+  try {
+    const result = await db.query(
+      `SELECT f.*, j.user_id, j.user_type, j.status as judge_status,
+              js.title as session_title
+       FROM judge_integrity_flags f
+       JOIN judges j ON f.judge_id = j.id
+       LEFT JOIN judging_sessions js ON f.session_id = js.id
+       WHERE ($1 = 'all' OR f.status = $1)
+       ORDER BY f.created_at DESC
+       LIMIT 200`,
+      [status]
+    );
+
+    for (const row of result.rows) {
+      const info = await getUserInfo(db, row.user_id, row.user_type);
+      row.username = info?.username || 'Unknown';
+    }
+
+    res.json({ flags: result.rows });
+  } catch (err) {
+    console.error('Integrity flags error:', err);
+    res.status(500).json({ error: 'Failed to get integrity flags' });
+  }
+});
+
+// PATCH /admin/integrity-flags/:id — Resolve a flag
+router.patch('/admin/integrity-flags/:id', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const { status, note } = req.body;
+
+  try {
+    if (!['dismissed', 'actioned'].includes(status)) {
+      return res.status(400).json({ error: 'status must be "dismissed" or "actioned"' });
+    }
+    const result = await db.query(
+      `UPDATE judge_integrity_flags SET status = $1, review_note = $2, reviewed_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [status, note || null, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Flag not found' });
+    res.json({ flag: result.rows[0] });
+  } catch (err) {
+    console.error('Update integrity flag error:', err);
+    res.status(500).json({ error: 'Failed to update flag' });
+  }
+});
+
+// GET /admin/judges/appeals — Suspension appeals (?status=pending|approved|denied|all)
+router.get('/admin/judges/appeals', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const status = req.query.status || 'pending';
+
+  try {
+    const result = await db.query(
+      `SELECT a.*, j.user_id, j.user_type, j.status as judge_status, j.tier, j.accuracy_score,
+              j.sessions_judged, j.suspension_reason, j.suspended_at
+       FROM judge_appeals a
+       JOIN judges j ON a.judge_id = j.id
+       WHERE ($1 = 'all' OR a.status = $1)
+       ORDER BY a.created_at ASC
+       LIMIT 200`,
+      [status]
+    );
+
+    for (const row of result.rows) {
+      const info = await getUserInfo(db, row.user_id, row.user_type);
+      row.username = info?.username || 'Unknown';
+    }
+
+    res.json({ appeals: result.rows });
+  } catch (err) {
+    console.error('Admin appeals error:', err);
+    res.status(500).json({ error: 'Failed to get appeals' });
+  }
+});
+
+// PATCH /admin/judges/appeals/:id — Approve (back to probation) or deny an appeal
+router.patch('/admin/judges/appeals/:id', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const { status, note } = req.body;
+
+  try {
+    if (!['approved', 'denied'].includes(status)) {
+      return res.status(400).json({ error: 'status must be "approved" or "denied"' });
+    }
+
+    const appeal = await withTransaction(db, async (client) => {
+      const updated = await client.query(
+        `UPDATE judge_appeals SET status = $1, admin_note = $2, resolved_at = NOW()
+         WHERE id = $3 AND status = 'pending' RETURNING *`,
+        [status, note || null, req.params.id]
+      );
+      if (updated.rows.length === 0) throw httpError(404, 'Pending appeal not found');
+
+      const judge = await client.query('SELECT * FROM judges WHERE id = $1 FOR UPDATE', [updated.rows[0].judge_id]);
+      if (status === 'approved') {
+        await client.query(
+          `UPDATE judges SET status = 'probation', probation_sessions_start = sessions_judged,
+                  suspension_reason = NULL, updated_at = NOW()
+           WHERE id = $1`,
+          [judge.rows[0].id]
+        );
+        await notifyJudge(client, judge.rows[0], 'judge_appeal_approved', 'Appeal approved',
+          `You are reinstated on probation for ${PROBATION_SESSIONS} sessions.`, { appeal_id: req.params.id });
+      } else {
+        await notifyJudge(client, judge.rows[0], 'judge_appeal_denied', 'Appeal denied',
+          note || 'Your suspension stays in place.', { appeal_id: req.params.id });
+      }
+      return updated.rows[0];
+    });
+
+    res.json({ appeal });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Resolve appeal error:', err);
+    res.status(500).json({ error: 'Failed to resolve appeal' });
+  }
+});
+
+// POST /admin/events — Create a multi-song event and schedule its sessions
+router.post('/admin/events', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const {
+    title, description, format, song_ids, scheduled_start, trading_window_minutes,
+    judging_duration_minutes, gap_minutes, house_rake
+  } = req.body;
+
+  try {
+    const created = await createEvent(db, {
+      title,
+      description,
+      format: format || 'sequence',
+      songIds: song_ids,
+      scheduledStart: scheduled_start,
+      tradingWindowMinutes: trading_window_minutes,
+      judgingDurationMinutes: judging_duration_minutes,
+      gapMinutes: gap_minutes,
+      houseRake: house_rake,
+      createdBy: req.user?.id || null
+    });
+    const event = await getEvent(db, created.id);
+    res.status(201).json({ event });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Create event error:', err);
+    res.status(500).json({ error: 'Failed to create event' });
+  }
+});
+
+// GET /admin/events — All events with stake totals
+router.get('/admin/events', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const result = await db.query(
+      `SELECT ev.*,
+              (SELECT COUNT(*) FROM event_entries WHERE event_id = ev.id) as entry_count,
+              (SELECT COALESCE(SUM(amount), 0) FROM event_trades WHERE event_id = ev.id) as total_staked
+       FROM judging_events ev
+       ORDER BY ev.created_at DESC
+       LIMIT 100`
+    );
+    res.json({ events: result.rows });
+  } catch (err) {
+    console.error('Admin events error:', err);
+    res.status(500).json({ error: 'Failed to get events' });
+  }
+});
+
+// PATCH /admin/events/:id/start — Pull the event's schedule forward to start now
+router.patch('/admin/events/:id/start', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const io = req.app.locals.io;
+  try {
+    await startEventNow(db, req.params.id);
+    // The scheduler picks the first session up on its next tick
+    if (io) io.of('/judging').to(`event:${req.params.id}`).emit('event-update', { eventId: req.params.id });
+    const event = await getEvent(db, req.params.id);
+    res.json({ event });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Start event error:', err);
+    res.status(500).json({ error: 'Failed to start event' });
+  }
+});
+
+// POST /admin/events/:id/advance — Re-check an event against its sessions now
+router.post('/admin/events/:id/advance', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    await advanceEvent(db, req.app.locals.io, req.params.id);
+    const event = await getEvent(db, req.params.id);
+    res.json({ event });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Advance event error:', err);
+    res.status(500).json({ error: 'Failed to advance event' });
+  }
+});
+
+// POST /admin/events/:id/cancel — Call off an event: refund its winner market and call off its sessions
+router.post('/admin/events/:id/cancel', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const summary = await cancelEvent(db, req.app.locals.io, req.params.id, {
+      reason: req.body.reason,
+      cancelledBy: req.user?.id || null
+    });
+    const { results, ...rest } = summary;
+    res.json({ success: true, ...rest });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Cancel event error:', err);
+    res.status(500).json({ error: 'Failed to cancel event' });
+  }
+});
+
+// GET /admin/requests — Creator judging queue (?status=pending|approved|scheduled|rejected|all)
+router.get('/admin/requests', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const requests = await listQueue(db, req.query.status || 'all');
+    res.json({ requests });
+  } catch (err) {
+    console.error('Admin judging requests error:', err);
+    res.status(500).json({ error: 'Failed to get judging requests' });
+  }
+});
+
+// PATCH /admin/requests/:id — Approve, schedule (creates the session) or reject
+router.patch('/admin/requests/:id', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const { action, note, scheduled_start, trading_window_minutes, judging_duration_minutes } = req.body;
+  try {
+    const result = await reviewRequest(db, req.params.id, {
+      action,
+      note,
+      scheduledStart: scheduled_start,
+      tradingWindowMinutes: trading_window_minutes,
+      judgingDurationMinutes: judging_duration_minutes,
+      createdBy: req.user?.id || null
+    });
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Review judging request error:', err);
+    res.status(500).json({ error: 'Failed to review judging request' });
+  }
+});
+
+// POST /admin/seasons — Create a season (opened by the scheduler at starts_at, or manually)
+router.post('/admin/seasons', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  const { name, starts_at, ends_at, reset_mode, starting_balance } = req.body;
+  try {
+    const season = await createSeason(db, {
+      name,
+      startsAt: starts_at,
+      endsAt: ends_at,
+      resetMode: reset_mode,
+      startingBalance: starting_balance
+    });
+    res.status(201).json({ season });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Create season error:', err);
+    res.status(500).json({ error: 'Failed to create season' });
+  }
+});
+
+// PATCH /admin/seasons/:id/open — Open a season now (resets or snapshots balances)
+router.patch('/admin/seasons/:id/open', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const season = await openSeason(db, req.app.locals.io, req.params.id);
+    res.json({ season });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Open season error:', err);
+    res.status(500).json({ error: 'Failed to open season' });
+  }
+});
+
+// PATCH /admin/seasons/:id/close — Close the active season, archive standings, award badges
+router.patch('/admin/seasons/:id/close', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const { season, ranked, badges } = await closeSeason(db, req.app.locals.io, req.params.id);
+    res.json({ season, ranked, badgesAwarded: badges.length });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Close season error:', err);
+    res.status(500).json({ error: 'Failed to close season' });
+  }
+});
+
+// GET /admin/sessions — List all sessions for admin management, ones flagged by the scheduler first
 router.get('/admin/sessions', authenticateMaster, async (req, res) => {
   const db = req.app.locals.db;
   try {
@@ -978,7 +1763,7 @@ router.get('/admin/sessions', authenticateMaster, async (req, res) => {
               (SELECT COUNT(*) FROM trades WHERE session_id = js.id) as trade_count
        FROM judging_sessions js
        JOIN songs s ON js.song_id = s.id
-       ORDER BY js.created_at DESC
+       ORDER BY (js.scheduler_flagged_at IS NOT NULL AND js.status IN ('scheduled', 'live')) DESC, js.created_at DESC
        LIMIT 100`
     );
     res.json({ sessions: result.rows });
@@ -988,4 +1773,22 @@ router.get('/admin/sessions', authenticateMaster, async (req, res) => {
   }
 });
 
+// POST /admin/sessions/:id/scheduler-retry — Clear a session's scheduler failures so the next tick retries it
+router.post('/admin/sessions/:id/scheduler-retry', authenticateMaster, async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const result = await db.query(
+      `UPDATE judging_sessions SET scheduler_failures = 0, scheduler_retry_at = NULL, scheduler_flagged_at = NULL
+       WHERE id = $1
+       RETURNING id, status, scheduler_last_error`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
+    res.json({ session: result.rows[0] });
+  } catch (err) {
+    console.error('Scheduler retry error:', err);
+    res.status(500).json({ error: 'Failed to retry session' });
+  }
+});
+
 module.exports = router;
@@ -43,13 +43,13 @@ router.post('/create', async (req, res) => {
     const listener = result.rows[0];
 
     // Send confirmation email
-    sendListenerConfirmationEmail(listener).catch(err =>
-      console.error('Failed to send listener confirmation email:', err)
+    sendListenerConfirmationEmail(db, listener).catch(err =>
+      console.error('Failed to queue listener confirmation email:', err)
     );
 
     // Notify admin
-    sendAdminListenerNotification(listener).catch(err =>
-      console.error('Failed to send admin notification:', err)
+    sendAdminListenerNotification(db, listener).catch(err =>
+      console.error('Failed to queue admin notification:', err)
     );
 
     // Auto-login: generate token
@@ -2,7 +2,9 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const cloudinary = require('cloudinary').v2;
 const router = express.Router();
-const { sendNewSongEmail, sendNewVideoEmail } = require('../emails/sender');
+const { sendNewSongEmails, sendNewVideoEmails } = require('../emails/sender');
+const { notifyNewUpload } = require('../services/notifications');
+const { withTransaction } = require('../services/transaction');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-me';
 
@@ -79,32 +81,30 @@ router.post('/music', async (req, res) => {
     if (!creatorId) return res.status(401).json({ error: 'Not authenticated' });
     const { title, artist, lyrics, audio_url, artwork_url, file_size, format,
             credits_producer, credits_writer, credits_engineer, credits_mixer, credits_master,
-            description, backstory } = req.body;
+            description, backstory, genre } = req.body;
 
     if (!title || !artist || !audio_url) {
       return res.status(400).json({ error: 'Title, artist, and audio URL are required' });
     }
 
-    const result = await db.query(
-      `INSERT INTO songs (creator_id, title, artist, lyrics, audio_url, artwork_url, file_size, format,
-                          credits_producer, credits_writer, credits_engineer, credits_mixer, credits_master,
-                          description, backstory)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-       RETURNING *`,
-      [creatorId, title, artist, lyrics || null, audio_url, artwork_url || null, file_size || 0, format || 'mp3',
-       credits_producer || null, credits_writer || null, credits_engineer || null, credits_mixer || null, credits_master || null,
-       description || null, backstory || null]
-    );
-
-    const song = result.rows[0];
-    res.json({ success: true, song });
-
-    // Background: notify subscribed listeners (non-blocking)
-    if (creatorId) {
-      notifySubscribers(db, creatorId, 'song', song).catch(err =>
-        console.error('Failed to notify subscribers about new song:', err)
+    // The song and its subscriber notifications are saved together, so an
+    // upload is never kept without its fan-out queued
+    const song = await withTransaction(db, async (client) => {
+      const result = await client.query(
+        `INSERT INTO songs (creator_id, title, artist, lyrics, audio_url, artwork_url, file_size, format,
+                            credits_producer, credits_writer, credits_engineer, credits_mixer, credits_master,
+                            description, backstory, genre)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+         RETURNING *`,
+        [creatorId, title, artist, lyrics || null, audio_url, artwork_url || null, file_size || 0, format || 'mp3',
+         credits_producer || null, credits_writer || null, credits_engineer || null, credits_mixer || null, credits_master || null,
+         description || null, backstory || null, genre ? String(genre).slice(0, 50) : null]
       );
-    }
+      await notifySubscribers(client, creatorId, 'song', result.rows[0]);
+      return result.rows[0];
+    });
+
+    res.json({ success: true, song });
   } catch (err) {
     console.error('Save music error:', err);
     res.status(500).json({ error: 'Failed to save track' });
@@ -123,78 +123,41 @@ router.post('/video', async (req, res) => {
       return res.status(400).json({ error: 'Title and video URL are required' });
     }
 
-    const result = await db.query(
-      `INSERT INTO videos (creator_id, title, description, category, video_url, thumbnail_url, file_size, format)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [creatorId, title, description || null, category || null, video_url, thumbnail_url || null, file_size || 0, format || 'mp4']
-    );
+    // Saved together with its subscriber notifications, like songs
+    const video = await withTransaction(db, async (client) => {
+      const result = await client.query(
+        `INSERT INTO videos (creator_id, title, description, category, video_url, thumbnail_url, file_size, format)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [creatorId, title, description || null, category || null, video_url, thumbnail_url || null, file_size || 0, format || 'mp4']
+      );
+      await notifySubscribers(client, creatorId, 'video', result.rows[0]);
+      return result.rows[0];
+    });
 
-    const video = result.rows[0];
     res.json({ success: true, video });
-
-    // Background: notify subscribed listeners (non-blocking)
-    if (creatorId) {
-      notifySubscribers(db, creatorId, 'video', video).catch(err =>
-        console.error('Failed to notify subscribers about new video:', err)
-      );
-    }
   } catch (err) {
     console.error('Save video error:', err);
     res.status(500).json({ error: 'Failed to save video' });
   }
 });
 
-// Background: notify all subscribed listeners when a creator uploads content
-async function notifySubscribers(db, creatorId, contentType, content) {
-  try {
-    // Get creator info
-    const creatorResult = await db.query(
-      'SELECT id, username, artist_name, first_name, last_name FROM creators WHERE id = $1',
-      [creatorId]
-    );
-    if (creatorResult.rows.length === 0) return;
-    const creator = creatorResult.rows[0];
-
-    // Get subscribed listeners who have email_on_upload enabled AND global email_notifications enabled
-    const subsResult = await db.query(
-      `SELECT l.id, l.email, l.first_name, l.last_name
-       FROM listener_creator_subscriptions lcs
-       JOIN listeners l ON l.id = lcs.listener_id
-       WHERE lcs.creator_id = $1
-         AND lcs.email_on_upload = true
-         AND l.email_notifications = true`,
-      [creatorId]
-    );
-
-    console.log(`Notifying ${subsResult.rows.length} subscribers about new ${contentType} from ${creator.artist_name || creator.username}`);
-
-    for (const listener of subsResult.rows) {
-      try {
-        if (contentType === 'song') {
-          await sendNewSongEmail(listener, creator, content);
-        } else if (contentType === 'video') {
-          await sendNewVideoEmail(listener, creator, content);
-        }
-        // Log the notification
-        await db.query(
-          `INSERT INTO email_notifications_log (listener_id, creator_id, email_type, subject, status)
-           VALUES ($1, $2, $3, $4, 'sent')`,
-          [listener.id, creatorId, `new_${contentType}`, content.title]
-        );
-      } catch (emailErr) {
-        console.error(`Failed to email ${listener.email}:`, emailErr.message);
-        // Log failure
-        await db.query(
-          `INSERT INTO email_notifications_log (listener_id, creator_id, email_type, subject, status)
-           VALUES ($1, $2, $3, $4, 'failed')`,
-          [listener.id, creatorId, `new_${contentType}`, content.title]
-        ).catch(() => {});
-      }
-    }
-  } catch (err) {
-    console.error('Notify subscribers error:', err);
-  }
+// Notify all subscribed listeners when a creator uploads content: in-app
+// for everyone, and a queued email for those who want one. Runs inside the
+// upload's transaction as two set-based inserts, so it takes the same time
+// however many subscribers there are; the email worker delivers the emails.
+async function notifySubscribers(client, creatorId, contentType, content) {
+  const creatorResult = await client.query(
+    'SELECT id, username, artist_name, first_name, last_name FROM creators WHERE id = $1',
+    [creatorId]
+  );
+  if (creatorResult.rows.length === 0) return;
+  const creator = creatorResult.rows[0];
+
+  await notifyNewUpload(client, creator, contentType, content);
+  const sendEmails = contentType === 'video' ? sendNewVideoEmails : sendNewSongEmails;
+  const queued = await sendEmails(client, creator, content);
+  console.log(`Queued ${queued} emails about new ${contentType} from ${creator.artist_name || creator.username}`);
 }
 
 module.exports = router;
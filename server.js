@@ -299,14 +299,554 @@ pool.query('SELECT NOW()')
     `);
   })
   .then(() => console.log('Trading, notification, and waitlist tables ready'))
+  .then(() => {
+    // Judge & Trader system — automatic session lifecycle
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN trading_window_minutes INTEGER; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN judging_duration_minutes INTEGER; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN trading_closed_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      CREATE INDEX IF NOT EXISTS idx_sessions_status ON judging_sessions(status, scheduled_start);
+    `);
+  })
+  .then(() => console.log('Session lifecycle columns ready'))
+  .then(() => {
+    // Judge & Trader system — per-session judge accuracy history
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS judge_accuracy_history (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        judge_id UUID NOT NULL REFERENCES judges(id) ON DELETE CASCADE,
+        session_id UUID NOT NULL REFERENCES judging_sessions(id) ON DELETE CASCADE,
+        final_rating INTEGER,
+        final_consensus NUMERIC(5,2),
+        anchor_rating INTEGER,
+        consensus_deviation NUMERIC(5,2),
+        anchor_deviation NUMERIC(5,2),
+        session_accuracy NUMERIC(5,2),
+        accuracy_after NUMERIC(5,2),
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(judge_id, session_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_accuracy_history_judge ON judge_accuracy_history(judge_id, created_at);
+
+      -- Judges are scored against the other judges' consensus, not their own
+      DO $$ BEGIN ALTER TABLE judge_accuracy_history ADD COLUMN peer_consensus NUMERIC(5,2); EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judge_accuracy_history ADD COLUMN peer_count INTEGER; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+    `);
+  })
+  .then(() => console.log('Judge accuracy history table ready'))
+  .then(() => {
+    // Judge & Trader system — settlement ledger (one row per settled trade and session)
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS session_settlements (
+        session_id UUID PRIMARY KEY REFERENCES judging_sessions(id) ON DELETE CASCADE,
+        final_consensus NUMERIC(5,2),
+        judge_count INTEGER DEFAULT 0,
+        trades_settled INTEGER DEFAULT 0,
+        settled_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS settlement_ledger (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        session_id UUID NOT NULL REFERENCES judging_sessions(id) ON DELETE CASCADE,
+        trade_id UUID NOT NULL UNIQUE REFERENCES trades(id) ON DELETE CASCADE,
+        trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
+        outcome VARCHAR(10),
+        amount NUMERIC(10,2),
+        payout NUMERIC(10,2),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_settlement_ledger_session ON settlement_ledger(session_id);
+    `);
+  })
+  .then(() => console.log('Settlement ledger tables ready'))
+  .then(() => {
+    // Judge & Trader system — double-entry play-money ledger. Traders that
+    // predate the ledger get an opening_balance journal for their current balance.
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        journal_id UUID NOT NULL,
+        account VARCHAR(10) NOT NULL CHECK (account IN ('trader', 'house')),
+        trader_id UUID REFERENCES traders(id) ON DELETE CASCADE,
+        entry_type VARCHAR(30) NOT NULL,
+        amount NUMERIC(12,2) NOT NULL,
+        balance_after NUMERIC(10,2),
+        trade_id UUID REFERENCES trades(id) ON DELETE SET NULL,
+        session_id UUID REFERENCES judging_sessions(id) ON DELETE SET NULL,
+        memo TEXT,
+        created_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ledger_trader ON ledger_entries(trader_id, account, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_ledger_journal ON ledger_entries(journal_id);
+
+      WITH opening AS (
+        SELECT gen_random_uuid() as journal_id, tr.id as trader_id, tr.play_money_balance as amount
+        FROM traders tr
+        WHERE NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.trader_id = tr.id)
+      )
+      INSERT INTO ledger_entries (journal_id, account, trader_id, entry_type, amount, balance_after, memo)
+      SELECT journal_id, 'trader', trader_id, 'opening_balance', amount, amount, 'Balance before ledger' FROM opening
+      UNION ALL
+      SELECT journal_id, 'house', trader_id, 'opening_balance', -amount, NULL, 'Balance before ledger' FROM opening;
+    `);
+  })
+  .then(() => console.log('Play-money ledger ready'))
+  .then(() => {
+    // Judge & Trader system — market mode (fixed odds or parimutuel pool)
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN market_mode VARCHAR(10) DEFAULT 'fixed'; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN house_rake NUMERIC(5,4); EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE session_settlements ADD COLUMN house_rake_collected NUMERIC(10,2) DEFAULT 0; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+    `);
+  })
+  .then(() => console.log('Market mode columns ready'))
+  .then(() => {
+    // Judge & Trader system — consensus algorithm per session
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN consensus_algorithm VARCHAR(20) DEFAULT 'mean'; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+    `);
+  })
+  .then(() => console.log('Consensus algorithm column ready'))
+  .then(() => {
+    // Judge & Trader system — anchors served to each screening application
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS screening_items (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        application_id UUID REFERENCES judge_applications(id) ON DELETE CASCADE,
+        anchor_id UUID REFERENCES anchor_songs(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        difficulty VARCHAR(20),
+        served_at TIMESTAMP DEFAULT NOW(),
+        rating INTEGER,
+        deviation NUMERIC(5,2),
+        within_tolerance BOOLEAN,
+        answered_at TIMESTAMP,
+        UNIQUE(application_id, anchor_id),
+        UNIQUE(application_id, position)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_screening_items_anchor ON screening_items(anchor_id);
+    `);
+  })
+  .then(() => console.log('Screening items table ready'))
+  .then(() => {
+    // Judge & Trader system — anchor calibration against community ratings
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE anchor_songs ADD COLUMN community_rating NUMERIC(5,2); EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE anchor_songs ADD COLUMN calibration_samples INTEGER DEFAULT 0; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE anchor_songs ADD COLUMN drift_flagged BOOLEAN DEFAULT false; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE anchor_songs ADD COLUMN suggested_rating INTEGER; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE anchor_songs ADD COLUMN suggested_tolerance INTEGER; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE anchor_songs ADD COLUMN calibrated_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE anchor_songs ADD COLUMN recalibrated_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+    `);
+  })
+  .then(() => console.log('Anchor calibration columns ready'))
+  .then(() => {
+    // Judge & Trader system — judge tiers, probation, suspension and appeals
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE judges ADD COLUMN tier VARCHAR(20); EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judges ADD COLUMN probation_sessions_start INTEGER DEFAULT 0; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judges ADD COLUMN suspended_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judges ADD COLUMN suspension_reason TEXT; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+
+      CREATE TABLE IF NOT EXISTS judge_appeals (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        judge_id UUID REFERENCES judges(id) ON DELETE CASCADE,
+        reason TEXT NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        admin_note TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        resolved_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_judge_appeals_status ON judge_appeals(status, created_at);
+    `);
+  })
+  .then(() => backfillTiers(pool))
+  .then(() => console.log('Judge tier tables ready'))
+  .then(() => {
+    // Judge & Trader system — play-money rewards paid to judges at settlement
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS judge_rewards (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        judge_id UUID REFERENCES judges(id) ON DELETE CASCADE,
+        session_id UUID REFERENCES judging_sessions(id) ON DELETE CASCADE,
+        trader_id UUID REFERENCES traders(id) ON DELETE SET NULL,
+        rating_count INTEGER DEFAULT 0,
+        session_accuracy NUMERIC(5,2),
+        participation_reward NUMERIC(10,2) DEFAULT 0,
+        accuracy_reward NUMERIC(10,2) DEFAULT 0,
+        total_reward NUMERIC(10,2) DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(judge_id, session_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_judge_rewards_judge ON judge_rewards(judge_id, created_at);
+    `);
+  })
+  .then(() => console.log('Judge rewards table ready'))
+  .then(() => {
+    // Judge & Trader system — multiple positions per session with early exit
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE trades ADD COLUMN exit_fee NUMERIC(10,2); EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE trades ADD COLUMN closed_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      CREATE INDEX IF NOT EXISTS idx_trades_session_user ON trades(session_id, user_id, user_type, status);
+    `);
+  })
+  .then(() => console.log('Position management columns ready'))
+  .then(() => {
+    // Judge & Trader system — suspicious judge activity for admin review
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS judge_integrity_flags (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        judge_id UUID NOT NULL REFERENCES judges(id) ON DELETE CASCADE,
+        session_id UUID REFERENCES judging_sessions(id) ON DELETE CASCADE,
+        flag_type VARCHAR(30) NOT NULL,
+        details JSONB,
+        status VARCHAR(20) DEFAULT 'open',
+        review_note TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        reviewed_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_integrity_flags_status ON judge_integrity_flags(status, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_integrity_flags_judge ON judge_integrity_flags(judge_id, session_id);
+    `);
+  })
+  .then(() => console.log('Judge integrity flags table ready'))
+  .then(() => {
+    // Judge & Trader system — multi-song events (sequences and brackets)
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS judging_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        format VARCHAR(20) NOT NULL DEFAULT 'sequence',
+        status VARCHAR(20) DEFAULT 'scheduled',
+        scheduled_start TIMESTAMP,
+        trading_window_minutes INTEGER,
+        judging_duration_minutes INTEGER,
+        gap_minutes INTEGER DEFAULT 2,
+        house_rake NUMERIC(5,4),
+        house_rake_collected NUMERIC(10,2) DEFAULT 0,
+        winner_entry_id UUID,
+        created_by UUID,
+        created_at TIMESTAMP DEFAULT NOW(),
+        started_at TIMESTAMP,
+        ended_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS event_entries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        event_id UUID NOT NULL REFERENCES judging_events(id) ON DELETE CASCADE,
+        song_id UUID NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
+        seed INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'active',
+        eliminated_round INTEGER,
+        last_round INTEGER,
+        final_consensus NUMERIC(5,2),
+        UNIQUE(event_id, song_id),
+        UNIQUE(event_id, seed)
+      );
+
+      CREATE TABLE IF NOT EXISTS event_matches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        event_id UUID NOT NULL REFERENCES judging_events(id) ON DELETE CASCADE,
+        round INTEGER NOT NULL,
+        match_number INTEGER NOT NULL,
+        entry_a_id UUID REFERENCES event_entries(id) ON DELETE CASCADE,
+        entry_b_id UUID REFERENCES event_entries(id) ON DELETE CASCADE,
+        session_a_id UUID REFERENCES judging_sessions(id) ON DELETE SET NULL,
+        session_b_id UUID REFERENCES judging_sessions(id) ON DELETE SET NULL,
+        winner_entry_id UUID REFERENCES event_entries(id) ON DELETE SET NULL,
+        status VARCHAR(20) DEFAULT 'scheduled',
+        completed_at TIMESTAMP,
+        UNIQUE(event_id, round, match_number)
+      );
+
+      CREATE TABLE IF NOT EXISTS event_trades (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        event_id UUID NOT NULL REFERENCES judging_events(id) ON DELETE CASCADE,
+        entry_id UUID NOT NULL REFERENCES event_entries(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        user_type VARCHAR(10) NOT NULL,
+        trader_id UUID REFERENCES traders(id) ON DELETE SET NULL,
+        amount NUMERIC(10,2) NOT NULL,
+        payout NUMERIC(10,2),
+        outcome VARCHAR(10),
+        status VARCHAR(20) DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT NOW(),
+        settled_at TIMESTAMP
+      );
+
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN event_id UUID REFERENCES judging_events(id) ON DELETE SET NULL; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN event_entry_id UUID REFERENCES event_entries(id) ON DELETE SET NULL; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN event_round INTEGER; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN event_match_id UUID REFERENCES event_matches(id) ON DELETE SET NULL; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+
+      CREATE INDEX IF NOT EXISTS idx_judging_events_status ON judging_events(status, scheduled_start);
+      CREATE INDEX IF NOT EXISTS idx_judging_sessions_event ON judging_sessions(event_id);
+      CREATE INDEX IF NOT EXISTS idx_event_trades_event ON event_trades(event_id, status);
+      CREATE INDEX IF NOT EXISTS idx_event_trades_user ON event_trades(user_id, user_type, created_at DESC);
+    `);
+  })
+  .then(() => console.log('Judging events tables ready'))
+  .then(() => {
+    // Judge & Trader system — creator-requested judging queue
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS judging_requests (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        song_id UUID NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
+        creator_id UUID NOT NULL,
+        notes TEXT,
+        status VARCHAR(20) DEFAULT 'pending',
+        admin_note TEXT,
+        session_id UUID REFERENCES judging_sessions(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        reviewed_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_judging_requests_status ON judging_requests(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_judging_requests_creator ON judging_requests(creator_id, status);
+      CREATE INDEX IF NOT EXISTS idx_judging_requests_session ON judging_requests(session_id);
+
+      -- Which request a session was scheduled for. Unlike judging_requests.session_id
+      -- this survives a requeue, and the weekly cap counts by the session's created_at
+      -- rather than a review time that later admin notes move.
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN judging_request_id UUID REFERENCES judging_requests(id) ON DELETE SET NULL; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      UPDATE judging_sessions js SET judging_request_id = r.id
+        FROM judging_requests r WHERE r.session_id = js.id AND js.judging_request_id IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_judging_sessions_request ON judging_sessions(judging_request_id);
+    `);
+  })
+  .then(() => console.log('Judging requests table ready'))
+  .then(() => {
+    // Judge & Trader system — cancelled and voided sessions
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN void_reason TEXT; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN voided_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN voided_by UUID; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judge_rating_snapshots ADD COLUMN voided BOOLEAN DEFAULT false; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+
+      -- Refunded trades are recorded with outcome 'void'
+      ALTER TABLE trades DROP CONSTRAINT IF EXISTS trades_outcome_check;
+      ALTER TABLE trades ADD CONSTRAINT trades_outcome_check CHECK (outcome IN ('win', 'loss', 'push', 'void'));
+    `);
+  })
+  .then(() => console.log('Session void columns ready'))
+  .then(() => {
+    // Judge & Trader system — song genre for trader analytics
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE songs ADD COLUMN genre VARCHAR(50); EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      CREATE INDEX IF NOT EXISTS idx_trades_trader_settled ON trades(trader_id, settled_at);
+    `);
+  })
+  .then(() => console.log('Trader analytics columns ready'))
+  .then(() => {
+    // Judge & Trader system — trading seasons, archived standings and badges
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS seasons (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        status VARCHAR(20) DEFAULT 'scheduled',
+        starts_at TIMESTAMP,
+        ends_at TIMESTAMP,
+        reset_mode VARCHAR(20) DEFAULT 'snapshot',
+        starting_balance NUMERIC(10,2) DEFAULT 100,
+        created_at TIMESTAMP DEFAULT NOW(),
+        opened_at TIMESTAMP,
+        closed_at TIMESTAMP
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_one_active ON seasons(status) WHERE status = 'active';
+
+      CREATE TABLE IF NOT EXISTS season_standings (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        season_id UUID NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+        trader_id UUID NOT NULL REFERENCES traders(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        user_type VARCHAR(10) NOT NULL,
+        opening_balance NUMERIC(10,2),
+        closing_balance NUMERIC(10,2),
+        trades INTEGER DEFAULT 0,
+        wins INTEGER DEFAULT 0,
+        profit NUMERIC(10,2) DEFAULT 0,
+        rank INTEGER,
+        badge VARCHAR(20),
+        UNIQUE(season_id, trader_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS trader_badges (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        trader_id UUID NOT NULL REFERENCES traders(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        user_type VARCHAR(10) NOT NULL,
+        season_id UUID REFERENCES seasons(id) ON DELETE CASCADE,
+        badge VARCHAR(20) NOT NULL,
+        rank INTEGER,
+        awarded_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(trader_id, season_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_season_standings_rank ON season_standings(season_id, rank);
+      CREATE INDEX IF NOT EXISTS idx_trader_badges_trader ON trader_badges(trader_id);
+    `);
+  })
+  .then(() => console.log('Season tables ready'))
+  .then(() => {
+    // Judge & Trader system — daily bonuses, streak rewards, bailouts and admin adjustments
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE traders ADD COLUMN login_streak INTEGER DEFAULT 0; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE traders ADD COLUMN last_daily_bonus_date DATE; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE traders ADD COLUMN last_bailout_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+
+      CREATE TABLE IF NOT EXISTS trader_credits (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        trader_id UUID NOT NULL REFERENCES traders(id) ON DELETE CASCADE,
+        kind VARCHAR(30) NOT NULL,
+        amount NUMERIC(10,2) NOT NULL,
+        reason TEXT NOT NULL,
+        streak_day INTEGER,
+        balance_after NUMERIC(10,2),
+        created_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_trader_credits_trader ON trader_credits(trader_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_trader_credits_kind ON trader_credits(kind, created_at DESC);
+    `);
+  })
+  .then(() => console.log('Trader top-up tables ready'))
+  .then(() => {
+    // Announce each new notification so sockets/notifications.js can push it live
+    return pool.query(`
+      CREATE OR REPLACE FUNCTION announce_notification() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_notify('notifications_created', json_build_object(
+          'id', NEW.id, 'user_id', NEW.user_id, 'user_type', NEW.user_type
+        )::text);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS notifications_announce ON notifications;
+      CREATE TRIGGER notifications_announce AFTER INSERT ON notifications
+        FOR EACH ROW EXECUTE PROCEDURE announce_notification();
+
+      CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id, user_type) WHERE read = false;
+    `);
+  })
+  .then(() => console.log('Notification trigger ready'))
+  .then(() => {
+    // Durable email outbox, delivered by services/email-worker.js
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email_type VARCHAR(50) NOT NULL,
+        to_email VARCHAR(255) NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        listener_id UUID REFERENCES listeners(id) ON DELETE SET NULL,
+        creator_id UUID REFERENCES creators(id) ON DELETE SET NULL,
+        dedupe_key VARCHAR(255) UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        provider_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW(),
+        sent_at TIMESTAMP,
+        dead_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_sent ON email_outbox(sent_at) WHERE status = 'sent';
+
+      DO $$ BEGIN ALTER TABLE email_notifications_log ADD COLUMN outbox_id UUID REFERENCES email_outbox(id) ON DELETE SET NULL; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE email_notifications_log ADD COLUMN attempts INTEGER DEFAULT 0; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE email_notifications_log ADD COLUMN last_error TEXT; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE email_notifications_log ADD COLUMN queued_at TIMESTAMP DEFAULT NOW(); EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE email_notifications_log ADD COLUMN updated_at TIMESTAMP DEFAULT NOW(); EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+
+      CREATE INDEX IF NOT EXISTS idx_email_log_outbox ON email_notifications_log(outbox_id);
+    `);
+  })
+  .then(() => console.log('Email outbox ready'))
+  .then(() => {
+    // Plain-text alternative for each queued email
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE email_outbox ADD COLUMN text TEXT; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+    `);
+  })
+  .then(() => console.log('Email text parts ready'))
+  .then(() => {
+    // Judge & Trader system — calling off events, and event trades on the ledger.
+    // Stakes are written in the same transaction as their event trade, so they
+    // can be matched up by time; payouts settled together can't be told apart.
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE judging_events ADD COLUMN cancel_reason TEXT; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_events ADD COLUMN cancelled_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_events ADD COLUMN cancelled_by UUID; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE ledger_entries ADD COLUMN event_trade_id UUID REFERENCES event_trades(id) ON DELETE SET NULL; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+
+      UPDATE ledger_entries le SET event_trade_id = et.id
+      FROM event_trades et
+      WHERE le.entry_type = 'event_stake' AND le.event_trade_id IS NULL
+        AND le.trader_id = et.trader_id AND le.created_at = et.created_at;
+
+      CREATE INDEX IF NOT EXISTS idx_ledger_event_trade ON ledger_entries(event_trade_id) WHERE event_trade_id IS NOT NULL;
+    `);
+  })
+  .then(() => console.log('Event call-off ready'))
+  .then(() => {
+    // Judge & Trader system — judge weights as each session ended, for replays
+    return pool.query(`
+      CREATE TABLE IF NOT EXISTS session_judge_weights (
+        session_id UUID NOT NULL REFERENCES judging_sessions(id) ON DELETE CASCADE,
+        judge_id UUID NOT NULL REFERENCES judges(id) ON DELETE CASCADE,
+        accuracy_score NUMERIC(5,2),
+        sessions_judged INTEGER,
+        status VARCHAR(20),
+        tier VARCHAR(20),
+        recorded_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (session_id, judge_id)
+      );
+    `);
+  })
+  .then(() => console.log('Session judge weights table ready'))
+  .then(() => {
+    // Judge & Trader system — session scheduler failures, backoff and admin flag
+    return pool.query(`
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN scheduler_failures INTEGER NOT NULL DEFAULT 0; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN scheduler_last_error TEXT; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN scheduler_failed_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN scheduler_retry_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+      DO $$ BEGIN ALTER TABLE judging_sessions ADD COLUMN scheduler_flagged_at TIMESTAMP; EXCEPTION WHEN duplicate_column THEN NULL; END $$;
+
+      CREATE INDEX IF NOT EXISTS idx_judging_sessions_flagged ON judging_sessions(scheduler_flagged_at) WHERE scheduler_flagged_at IS NOT NULL;
+    `);
+  })
+  .then(() => console.log('Session scheduler failure tracking ready'))
+  .then(() => sessionScheduler.start())
+  .then(() => emailWorker.start())
   .catch(err => console.error('Database setup error:', err.message));
 
 // Make db available to routes
 app.locals.db = pool;
 
-// Initialize Socket.IO judging namespace
+// Initialize Socket.IO judging and notification namespaces
 app.locals.io = io;
 require('./sockets/judging')(io, pool);
+require('./sockets/notifications')(io, pool);
+const sessionScheduler = require('./services/session-scheduler')(io, pool);
+const emailWorker = require('./services/email-worker')(pool);
+const { backfillTiers } = require('./services/judge-tiers');
 
 // Mount routes
 app.use('/api/auth', require('./routes/auth'));
@@ -318,6 +858,11 @@ app.use('/api/admin', require('./routes/admin'));
 app.use('/api/search', require('./routes/search'));
 app.use('/api/creators-public', require('./routes/creators-public'));
 app.use('/api/judging', require('./routes/judging'));
+// Development inbox for the local email transports. It has no auth, so it is
+// opt-in and never mounted in production.
+if (process.env.EMAIL_DEV_INBOX === 'true' && process.env.NODE_ENV !== 'production') {
+  app.use('/api/dev/emails', require('./routes/dev-emails'));
+}
 // Aliases to match frontend expectations
 app.use('/api/creators', require('./routes/auth'));
 app.use('/api/upload', require('./routes/uploads'));
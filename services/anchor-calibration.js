@@ -0,0 +1,146 @@
+// Anchor song calibration.
+// An anchor's correct_rating is set by hand. Here it is compared with how
+// approved judges actually rate the song: their screening answers, plus their
+// final ratings in any completed session of the same song. When the median
+// of those ratings (the community rating) is further from correct_rating than
+// the anchor's tolerance, the anchor is flagged with suggested values.
+// The report also shows how the anchor performs as a test item:
+//   pass_rate       share of all screening answers within tolerance
+//   discrimination  pass rate among applicants who passed screening minus
+//                   the pass rate among those who failed; near zero or
+//                   negative means the anchor doesn't separate good from bad
+
+const MIN_CALIBRATION_SAMPLES = 5;
+const MIN_SUGGESTED_TOLERANCE = 5;
+const MAX_SUGGESTED_TOLERANCE = 25;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function stdDev(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+function rate(answers) {
+  if (answers.length === 0) return null;
+  return round2(answers.filter(a => a.within_tolerance).length / answers.length);
+}
+
+function suggestedDifficulty(passRate) {
+  if (passRate === null) return null;
+  if (passRate >= 0.8) return 'easy';
+  if (passRate < 0.4) return 'hard';
+  return 'medium';
+}
+
+// Calibration figures for one anchor from its screening answers and live ratings
+function calibrate(anchor, screening, live) {
+  const approvedRatings = screening.filter(a => a.application_status === 'approved').map(a => a.rating);
+  const community = approvedRatings.concat(live.map(r => r.rating));
+
+  const passed = screening.filter(a => a.application_status === 'approved');
+  const failed = screening.filter(a => a.application_status === 'rejected');
+  const passRate = rate(screening);
+  const discrimination = passed.length > 0 && failed.length > 0
+    ? round2(rate(passed) - rate(failed))
+    : null;
+
+  const report = {
+    anchor_id: anchor.id,
+    song_id: anchor.song_id,
+    title: anchor.title,
+    artist: anchor.artist,
+    active: anchor.active,
+    correct_rating: anchor.correct_rating,
+    tolerance: anchor.tolerance,
+    difficulty: anchor.difficulty,
+    screening_answers: screening.length,
+    live_ratings: live.length,
+    community_samples: community.length,
+    pass_rate: passRate,
+    discrimination,
+    community_rating: null,
+    community_spread: null,
+    drift: null,
+    drift_flagged: false,
+    suggested_rating: null,
+    suggested_tolerance: null,
+    suggested_difficulty: suggestedDifficulty(passRate)
+  };
+
+  if (community.length >= MIN_CALIBRATION_SAMPLES) {
+    const communityRating = median(community);
+    const spread = stdDev(community);
+    report.community_rating = round2(communityRating);
+    report.community_spread = round2(spread);
+    report.drift = round2(communityRating - anchor.correct_rating);
+    report.drift_flagged = Math.abs(report.drift) > (anchor.tolerance ?? 10);
+    report.suggested_rating = Math.round(communityRating);
+    report.suggested_tolerance = Math.max(MIN_SUGGESTED_TOLERANCE, Math.min(MAX_SUGGESTED_TOLERANCE, Math.round(spread)));
+  }
+
+  return report;
+}
+
+// Calibration report for every anchor, or only those for one session's song
+async function calibrationReport(db, { sessionId } = {}) {
+  const anchors = await db.query(
+    `SELECT a.*, s.title, s.artist
+     FROM anchor_songs a
+     JOIN songs s ON a.song_id = s.id
+     WHERE ($1::uuid IS NULL OR a.song_id = (SELECT song_id FROM judging_sessions WHERE id = $1))
+     ORDER BY a.created_at DESC`,
+    [sessionId || null]
+  );
+  if (anchors.rows.length === 0) return [];
+  const anchorIds = anchors.rows.map(a => a.id);
+
+  const screening = await db.query(
+    `SELECT i.anchor_id, i.rating, i.within_tolerance, ja.status as application_status
+     FROM screening_items i
+     JOIN judge_applications ja ON ja.id = i.application_id
+     WHERE i.anchor_id = ANY($1) AND i.answered_at IS NOT NULL`,
+    [anchorIds]
+  );
+
+  // Each judge's final rating in completed sessions of an anchor song
+  const live = await db.query(
+    `SELECT DISTINCT ON (s.session_id, s.judge_id) a.id as anchor_id, s.rating
+     FROM judge_rating_snapshots s
+     JOIN judging_sessions js ON js.id = s.session_id AND js.status = 'completed'
+     JOIN anchor_songs a ON a.song_id = js.song_id
+     WHERE a.id = ANY($1) AND NOT s.voided
+     ORDER BY s.session_id, s.judge_id, s.timestamp DESC`,
+    [anchorIds]
+  );
+
+  return anchors.rows.map(anchor => calibrate(
+    anchor,
+    screening.rows.filter(r => r.anchor_id === anchor.id),
+    live.rows.filter(r => r.anchor_id === anchor.id)
+  ));
+}
+
+// Recompute calibration and store the flag and suggestions on each anchor
+async function calibrateAnchors(db, options) {
+  const report = await calibrationReport(db, options);
+  for (const r of report) {
+    await db.query(
+      `UPDATE anchor_songs SET community_rating = $1, calibration_samples = $2, drift_flagged = $3,
+                               suggested_rating = $4, suggested_tolerance = $5, calibrated_at = NOW()
+       WHERE id = $6`,
+      [r.community_rating, r.community_samples, r.drift_flagged, r.suggested_rating, r.suggested_tolerance, r.anchor_id]
+    );
+  }
+  return report;
+}
+
+module.exports = { MIN_CALIBRATION_SAMPLES, calibrationReport, calibrateAnchors };
@@ -0,0 +1,115 @@
+const { tierWeight } = require('./judge-tiers');
+
+// Session consensus.
+// Every consumer (live socket updates, session endpoints, trade entry and
+// exit, settlement) computes consensus here from each judge's latest rating,
+// using the algorithm recorded on the session:
+//   mean          plain average
+//   trimmed_mean  average after dropping the top and bottom TRIM_FRACTION
+//   median        middle rating (average of the two middle ones when even)
+//   weighted      average weighted by each judge's accuracy score, scaled
+//                 by their tier (probation judges count for less)
+
+const ALGORITHMS = ['mean', 'trimmed_mean', 'median', 'weighted'];
+const DEFAULT_ALGORITHM = ALGORITHMS.includes(process.env.CONSENSUS_ALGORITHM)
+  ? process.env.CONSENSUS_ALGORITHM
+  : 'mean';
+
+const TRIM_FRACTION = 0.2;
+// Weight for judges without a scored session yet, on the 0-100 accuracy scale
+const UNSCORED_WEIGHT = 50;
+const MIN_WEIGHT = 5;
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function trimmedMean(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const k = Math.floor(sorted.length * TRIM_FRACTION);
+  return mean(sorted.slice(k, sorted.length - k));
+}
+
+function judgeWeight(judge) {
+  const accuracy = judge.sessions_judged
+    ? Math.max(parseFloat(judge.accuracy_score) || 0, MIN_WEIGHT)
+    : UNSCORED_WEIGHT;
+  return accuracy * tierWeight(judge);
+}
+
+function weightedMean(judges) {
+  let total = 0;
+  let weights = 0;
+  for (const judge of judges) {
+    const w = judgeWeight(judge);
+    total += judge.rating * w;
+    weights += w;
+  }
+  return total / weights;
+}
+
+// Consensus of a list of { rating, accuracy_score, sessions_judged, status, tier } rows.
+// Returns null when nobody has rated.
+function compute(algorithm, judges) {
+  if (judges.length === 0) return null;
+  const ratings = judges.map(j => j.rating);
+  switch (algorithm) {
+    case 'trimmed_mean': return trimmedMean(ratings);
+    case 'median': return median(ratings);
+    case 'weighted': return weightedMean(judges);
+    default: return mean(ratings);
+  }
+}
+
+// Each judge's latest rating in a session
+async function latestRatings(db, sessionId) {
+  const result = await db.query(
+    `SELECT sub.judge_id, sub.rating, j.accuracy_score, j.sessions_judged, j.status, j.tier
+     FROM (
+       SELECT DISTINCT ON (judge_id) judge_id, rating
+       FROM judge_rating_snapshots
+       WHERE session_id = $1 AND NOT voided
+       ORDER BY judge_id, timestamp DESC
+     ) sub
+     JOIN judges j ON j.id = sub.judge_id`,
+    [sessionId]
+  );
+  return result.rows;
+}
+
+// Record the weight each judge's ratings carried as a session ends, before
+// settlement updates their accuracy, so a replay can recompute the consensus
+// the way it was computed at the time.
+async function recordJudgeWeights(db, sessionId) {
+  await db.query(
+    `INSERT INTO session_judge_weights (session_id, judge_id, accuracy_score, sessions_judged, status, tier)
+     SELECT $1, j.id, j.accuracy_score, j.sessions_judged, j.status, j.tier
+     FROM judges j
+     WHERE j.id IN (SELECT judge_id FROM judge_rating_snapshots WHERE session_id = $1 AND NOT voided)
+     ON CONFLICT (session_id, judge_id) DO NOTHING`,
+    [sessionId]
+  );
+}
+
+// Current consensus for a session. Pass the algorithm when the caller already
+// has the session row; otherwise it is looked up.
+async function getConsensus(db, sessionId, algorithm) {
+  if (!algorithm) {
+    const session = await db.query('SELECT consensus_algorithm FROM judging_sessions WHERE id = $1', [sessionId]);
+    algorithm = session.rows[0]?.consensus_algorithm || DEFAULT_ALGORITHM;
+  }
+  const judges = await latestRatings(db, sessionId);
+  return {
+    consensus: compute(algorithm, judges),
+    judgeCount: judges.length,
+    algorithm
+  };
+}
+
+module.exports = { ALGORITHMS, DEFAULT_ALGORITHM, compute, latestRatings, recordJudgeWeights, getConsensus };
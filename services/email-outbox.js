@@ -0,0 +1,104 @@
+const { httpError } = require('./errors');
+
+// Durable email queue.
+// Nothing sends email inline any more: callers queue a rendered message in
+// email_outbox and the email worker (services/email-worker.js) delivers it,
+// retrying with exponential backoff. Each queued email gets a row in
+// email_notifications_log that follows it through
+//   queued -> sent
+//   queued -> retrying -> ... -> sent | failed
+// so the log says what actually happened. An email that keeps failing, or
+// fails in a way that can't succeed later, is dead-lettered (status 'dead')
+// and can be requeued by an admin. A dedupe key makes queueing idempotent,
+// so a fan-out that is re-run after a crash doesn't email anyone twice.
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// Queue one email. Returns the outbox row, or null when the dedupe key was
+// already queued.
+async function enqueueEmail(db, { type, to, subject, html, text, listenerId, creatorId, dedupeKey }) {
+  if (!to) throw httpError(400, 'Email recipient is required');
+
+  const result = await db.query(
+    `WITH queued AS (
+       INSERT INTO email_outbox (email_type, to_email, subject, html, text, listener_id, creator_id, dedupe_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (dedupe_key) DO NOTHING
+       RETURNING *
+     ), logged AS (
+       INSERT INTO email_notifications_log (listener_id, creator_id, email_type, subject, status, sent_at, outbox_id)
+       SELECT listener_id, creator_id, email_type, subject, 'queued', NULL, id FROM queued
+       RETURNING id, outbox_id
+     )
+     SELECT queued.*, logged.id as log_id FROM queued JOIN logged ON logged.outbox_id = queued.id`,
+    [type, to, subject, html, text || null, listenerId || null, creatorId || null, dedupeKey || null]
+  );
+  return result.rows[0] || null;
+}
+
+// Queue the same email for every listener subscribed to a creator who wants
+// upload emails, in one statement however many subscribers there are. Each
+// listener's dedupe key is `${dedupePrefix}:${listener id}`. Returns how many
+// were queued.
+async function enqueueSubscriberEmails(db, creatorId, { type, subject, html, text, dedupePrefix }) {
+  const result = await db.query(
+    `WITH queued AS (
+       INSERT INTO email_outbox (email_type, to_email, subject, html, text, listener_id, creator_id, dedupe_key)
+       SELECT $2, l.email, $3, $4, $5, l.id, $1, $6 || ':' || l.id
+       FROM listener_creator_subscriptions lcs
+       JOIN listeners l ON l.id = lcs.listener_id
+       WHERE lcs.creator_id = $1
+         AND lcs.email_on_upload = true
+         AND l.email_notifications = true
+         AND l.email IS NOT NULL
+       ON CONFLICT (dedupe_key) DO NOTHING
+       RETURNING *
+     ), logged AS (
+       INSERT INTO email_notifications_log (listener_id, creator_id, email_type, subject, status, sent_at, outbox_id)
+       SELECT listener_id, creator_id, email_type, subject, 'queued', NULL, id FROM queued
+       RETURNING id
+     )
+     SELECT COUNT(*) as count FROM logged`,
+    [creatorId, type, subject, html, text || null, dedupePrefix]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+// Admin view of the queue (?status=pending|sending|sent|dead)
+async function listOutbox(db, { status, limit } = {}) {
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of ${OUTBOX_STATUSES.join(', ')}`);
+  }
+  const result = await db.query(
+    `SELECT id, email_type, to_email, subject, status, attempts, next_attempt_at, last_error,
+            provider_id, listener_id, creator_id, created_at, sent_at, dead_at
+     FROM email_outbox
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [status || null, Math.min(parseInt(limit) || 100, 500)]
+  );
+  const counts = await db.query('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status');
+  return {
+    emails: result.rows,
+    counts: Object.fromEntries(counts.rows.map(r => [r.status, parseInt(r.count)]))
+  };
+}
+
+// Put a dead-lettered email back in the queue with a fresh set of attempts
+async function retryEmail(db, outboxId) {
+  const result = await db.query(
+    `UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(), dead_at = NULL
+     WHERE id = $1 AND status = 'dead'
+     RETURNING *`,
+    [outboxId]
+  );
+  if (result.rows.length === 0) throw httpError(404, 'Dead-lettered email not found');
+  await db.query(
+    `UPDATE email_notifications_log SET status = 'queued', updated_at = NOW() WHERE outbox_id = $1`,
+    [outboxId]
+  );
+  return result.rows[0];
+}
+
+module.exports = { OUTBOX_STATUSES, enqueueEmail, enqueueSubscriberEmails, listOutbox, retryEmail };
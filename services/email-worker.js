@@ -0,0 +1,164 @@
+const { deliver } = require('../emails/transport');
+
+// Delivers queued email from email_outbox (see services/email-outbox.js).
+//   - each tick claims due messages with FOR UPDATE SKIP LOCKED, so more
+//     than one server can run a worker
+//   - sends are spaced to EMAIL_RATE_PER_SECOND and capped at
+//     EMAIL_DAILY_LIMIT per rolling 24 hours (0 = no cap), matching the
+//     email provider's quotas
+//   - a retryable failure is retried after BASE * 2^(attempt - 1) seconds
+//     (capped, with jitter) up to EMAIL_MAX_ATTEMPTS, then dead-lettered;
+//     a permanent failure is dead-lettered straight away
+//   - a provider rate limit (Resend's 429) pauses the whole worker for the requested time
+//   - a message left 'sending' by a crash is picked up again once its lock
+//     is STALE_LOCK_MINUTES old, so delivery is at-least-once
+
+const DEFAULT_INTERVAL_MS = 5000;
+const STALE_LOCK_MINUTES = 10;
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+
+function envNumber(name, fallback) {
+  return process.env[name] !== undefined ? parseFloat(process.env[name]) || 0 : fallback;
+}
+
+const RATE_PER_SECOND = envNumber('EMAIL_RATE_PER_SECOND', 2);
+const DAILY_LIMIT = envNumber('EMAIL_DAILY_LIMIT', 0);
+const MAX_ATTEMPTS = envNumber('EMAIL_MAX_ATTEMPTS', 6);
+const BACKOFF_BASE_SECONDS = envNumber('EMAIL_BACKOFF_BASE_SECONDS', 30);
+
+// Seconds to wait before the next attempt, with +/-20% jitter
+function backoffSeconds(attempts) {
+  const base = Math.min(BACKOFF_MAX_SECONDS, BACKOFF_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1)));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = function(pool) {
+  // EMAIL_WORKER_INTERVAL_MS=0 disables the worker entirely
+  const intervalMs = process.env.EMAIL_WORKER_INTERVAL_MS !== undefined
+    ? parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 0
+    : DEFAULT_INTERVAL_MS;
+  const spacingMs = RATE_PER_SECOND > 0 ? Math.ceil(1000 / RATE_PER_SECOND) : 0;
+
+  let timer = null;
+  let running = false;
+  let pausedUntil = 0;
+
+  // How many we may send this tick: enough to fill the interval at the
+  // configured rate, less whatever the daily cap has left
+  async function batchSize() {
+    let size = RATE_PER_SECOND > 0 ? Math.max(1, Math.floor(RATE_PER_SECOND * intervalMs / 1000)) : 50;
+    if (DAILY_LIMIT > 0) {
+      const sent = await pool.query(
+        `SELECT COUNT(*) as count FROM email_outbox WHERE status = 'sent' AND sent_at > NOW() - INTERVAL '24 hours'`
+      );
+      size = Math.min(size, DAILY_LIMIT - parseInt(sent.rows[0].count));
+    }
+    return size;
+  }
+
+  async function claim(limit) {
+    const result = await pool.query(
+      `UPDATE email_outbox SET status = 'sending', locked_at = NOW(), attempts = attempts + 1
+       WHERE id IN (
+         SELECT id FROM email_outbox
+         WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $2))
+         ORDER BY next_attempt_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, STALE_LOCK_MINUTES]
+    );
+    return result.rows;
+  }
+
+  async function markSent(email, providerId) {
+    await pool.query(
+      `UPDATE email_outbox SET status = 'sent', sent_at = NOW(), provider_id = $1, last_error = NULL, locked_at = NULL
+       WHERE id = $2`,
+      [providerId, email.id]
+    );
+    await pool.query(
+      `UPDATE email_notifications_log SET status = 'sent', sent_at = NOW(), attempts = $1, last_error = NULL, updated_at = NOW()
+       WHERE outbox_id = $2`,
+      [email.attempts, email.id]
+    );
+  }
+
+  async function markFailed(email, err) {
+    const dead = !err.retryable || email.attempts >= MAX_ATTEMPTS;
+    const delay = err.retryAfterSeconds || backoffSeconds(email.attempts);
+    await pool.query(
+      `UPDATE email_outbox SET status = $1, last_error = $2, locked_at = NULL,
+         next_attempt_at = CASE WHEN $1 = 'pending' THEN NOW() + make_interval(secs => $3) ELSE next_attempt_at END,
+         dead_at = CASE WHEN $1 = 'dead' THEN NOW() ELSE NULL END
+       WHERE id = $4`,
+      [dead ? 'dead' : 'pending', err.message, delay, email.id]
+    );
+    await pool.query(
+      `UPDATE email_notifications_log SET status = $1, attempts = $2, last_error = $3, updated_at = NOW()
+       WHERE outbox_id = $4`,
+      [dead ? 'failed' : 'retrying', email.attempts, err.message, email.id]
+    );
+    if (dead) console.error(`Email worker: dead-lettered ${email.email_type} email ${email.id} to ${email.to_email}: ${err.message}`);
+  }
+
+  // Give back claimed messages we didn't get to, without using up an attempt
+  async function release(emails) {
+    if (emails.length === 0) return;
+    await pool.query(
+      `UPDATE email_outbox SET status = 'pending', attempts = attempts - 1, locked_at = NULL
+       WHERE id = ANY($1) AND status = 'sending'`,
+      [emails.map(e => e.id)]
+    );
+  }
+
+  async function tick() {
+    if (running || Date.now() < pausedUntil) return;
+    running = true;
+    try {
+      const size = await batchSize();
+      if (size <= 0) return;
+      const emails = await claim(size);
+      for (let i = 0; i < emails.length; i++) {
+        const email = emails[i];
+        if (i > 0 && spacingMs > 0) await sleep(spacingMs);
+        try {
+          const providerId = await deliver({ to: email.to_email, subject: email.subject, html: email.html, text: email.text });
+          await markSent(email, providerId);
+        } catch (err) {
+          await markFailed(email, err);
+          if (err.retryAfterSeconds) {
+            pausedUntil = Date.now() + err.retryAfterSeconds * 1000;
+            console.warn(`Email worker: rate limited, pausing for ${err.retryAfterSeconds}s`);
+            await release(emails.slice(i + 1));
+            break;
+          }
+        }
+      }
+    } catch (err) {
+      console.error('Email worker error:', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || intervalMs <= 0) return;
+    console.log(`Email worker running every ${intervalMs}ms (${RATE_PER_SECOND}/s${DAILY_LIMIT > 0 ? `, ${DAILY_LIMIT}/day` : ''})`);
+    tick();
+    timer = setInterval(tick, intervalMs);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick };
+};
@@ -0,0 +1,20 @@
+// Error carrying an HTTP status. Services throw these for expected failures
+// (not found, bad state); routes turn them into `res.status(err.status)`.
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Error from an email transport. `retryable` says whether the same send
+// could succeed later (rate limits, outages, network trouble);
+// `retryAfterSeconds` is set when the provider asked us to slow down.
+function deliveryError(message, { retryable, statusCode, retryAfterSeconds } = {}) {
+  const err = new Error(message);
+  err.retryable = !!retryable;
+  err.statusCode = statusCode || null;
+  if (retryAfterSeconds) err.retryAfterSeconds = retryAfterSeconds;
+  return err;
+}
+
+module.exports = { httpError, deliveryError };
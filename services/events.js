@@ -0,0 +1,608 @@
+const { withTransaction } = require('./transaction');
+const { httpError } = require('./errors');
+const { postEntry, ensureTrader } = require('./ledger');
+const { DEFAULT_HOUSE_RAKE } = require('./market');
+const { userRoom } = require('../sockets/judging');
+
+// Multi-song judging events.
+// An event groups ordinary judging sessions, one per song per round, and
+// schedules them back to back so the session scheduler runs them like any
+// other session.
+//   sequence  every song is judged once; the highest final consensus wins
+//   bracket   seeded single elimination; in each match both songs are judged
+//             and the higher consensus advances (ties go to the better seed).
+//             Top seeds get byes when the field isn't a power of two.
+// advanceEvent() moves an event along from the state of its sessions and is
+// safe to call repeatedly. Events also have their own parimutuel market on
+// which song wins, open until the event's first session starts;
+// cancelEvent() refunds it when an event is called off.
+
+const EVENT_FORMATS = ['sequence', 'bracket'];
+const MIN_ENTRIES = 2;
+const MAX_ENTRIES = 32;
+const DEFAULT_GAP_MINUTES = 2;
+const DEFAULT_JUDGING_DURATION = parseInt(process.env.DEFAULT_JUDGING_DURATION_MINUTES) || 30;
+const ABANDONED_STATUSES = ['cancelled', 'voided'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Seed order for a bracket of `size` (a power of two), arranged so that
+// consecutive pairs are first-round matches and top seeds meet last
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(seed => [seed, n + 1 - seed]);
+  }
+  return order;
+}
+
+// Create sessions for the given slots, one after another from startAt.
+// Each slot is { entry, matchId }.
+async function scheduleSessions(client, event, round, slots, startAt) {
+  const duration = event.judging_duration_minutes || DEFAULT_JUDGING_DURATION;
+  const slotMinutes = duration + (event.gap_minutes ?? DEFAULT_GAP_MINUTES);
+  const ids = [];
+
+  for (let i = 0; i < slots.length; i++) {
+    const { entry, matchId } = slots[i];
+    const scheduledStart = new Date(new Date(startAt).getTime() + i * slotMinutes * 60 * 1000);
+    const session = await client.query(
+      `INSERT INTO judging_sessions (song_id, title, scheduled_start, status, created_by,
+                                     trading_window_minutes, judging_duration_minutes,
+                                     event_id, event_entry_id, event_round, event_match_id)
+       VALUES ($1, $2, $3, 'scheduled', $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [entry.song_id, `${event.title}: ${entry.song_title}`, scheduledStart, event.created_by,
+       event.trading_window_minutes, duration, event.id, entry.id, round, matchId || null]
+    );
+    ids.push(session.rows[0].id);
+  }
+  return ids;
+}
+
+// Matches (and their sessions) for one bracket round. `entries` are the
+// competitors in bracket order; round 1 handles byes.
+async function createBracketRound(client, event, round, entries, startAt) {
+  const pairs = [];
+  if (round === 1) {
+    const bySeed = new Map(entries.map(e => [e.seed, e]));
+    let size = 1;
+    while (size < entries.length) size *= 2;
+    const order = bracketOrder(size);
+    for (let i = 0; i < order.length; i += 2) {
+      pairs.push([bySeed.get(order[i]) || null, bySeed.get(order[i + 1]) || null]);
+    }
+  } else {
+    for (let i = 0; i < entries.length; i += 2) pairs.push([entries[i], entries[i + 1] || null]);
+  }
+
+  const slots = [];
+  for (let m = 0; m < pairs.length; m++) {
+    const [a, b] = pairs[m];
+    const bye = !a || !b;
+    const match = await client.query(
+      `INSERT INTO event_matches (event_id, round, match_number, entry_a_id, entry_b_id, winner_entry_id, status, completed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [event.id, round, m + 1, (a || b).id, bye ? null : b.id, bye ? (a || b).id : null,
+       bye ? 'completed' : 'scheduled', bye ? new Date() : null]
+    );
+    if (!bye) {
+      slots.push({ entry: a, matchId: match.rows[0].id }, { entry: b, matchId: match.rows[0].id });
+    }
+  }
+
+  const sessionIds = await scheduleSessions(client, event, round, slots, startAt);
+  for (let i = 0; i < slots.length; i += 2) {
+    await client.query(
+      'UPDATE event_matches SET session_a_id = $1, session_b_id = $2 WHERE id = $3',
+      [sessionIds[i], sessionIds[i + 1], slots[i].matchId]
+    );
+  }
+}
+
+async function getEntries(client, eventId) {
+  const result = await client.query(
+    `SELECT e.*, s.title as song_title, s.artist as song_artist, s.artwork_url
+     FROM event_entries e
+     JOIN songs s ON e.song_id = s.id
+     WHERE e.event_id = $1
+     ORDER BY e.seed ASC`,
+    [eventId]
+  );
+  return result.rows;
+}
+
+async function createEvent(pool, {
+  title, description, format, songIds, scheduledStart, tradingWindowMinutes,
+  judgingDurationMinutes, gapMinutes, houseRake, createdBy
+}) {
+  if (!title) throw httpError(400, 'title is required');
+  if (!EVENT_FORMATS.includes(format)) throw httpError(400, 'format must be "sequence" or "bracket"');
+  if (!Array.isArray(songIds) || songIds.length < MIN_ENTRIES || songIds.length > MAX_ENTRIES) {
+    throw httpError(400, `song_ids must list between ${MIN_ENTRIES} and ${MAX_ENTRIES} songs`);
+  }
+  if (new Set(songIds).size !== songIds.length) throw httpError(400, 'song_ids must not repeat');
+  if (houseRake !== undefined && (isNaN(houseRake) || houseRake < 0 || houseRake >= 1)) {
+    throw httpError(400, 'house_rake must be between 0 and 1');
+  }
+
+  return withTransaction(pool, async (client) => {
+    const songs = await client.query('SELECT id FROM songs WHERE id = ANY($1)', [songIds]);
+    if (songs.rows.length !== songIds.length) throw httpError(404, 'Song not found');
+
+    const inserted = await client.query(
+      `INSERT INTO judging_events (title, description, format, status, scheduled_start, trading_window_minutes,
+                                   judging_duration_minutes, gap_minutes, house_rake, created_by)
+       VALUES ($1, $2, $3, 'scheduled', $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [title, description || null, format, scheduledStart || new Date(), tradingWindowMinutes || null,
+       judgingDurationMinutes || null, gapMinutes ?? DEFAULT_GAP_MINUTES, houseRake ?? DEFAULT_HOUSE_RAKE, createdBy || null]
+    );
+    const event = inserted.rows[0];
+
+    // Songs are seeded in the order given
+    for (let i = 0; i < songIds.length; i++) {
+      await client.query(
+        'INSERT INTO event_entries (event_id, song_id, seed) VALUES ($1, $2, $3)',
+        [event.id, songIds[i], i + 1]
+      );
+    }
+    const entries = await getEntries(client, event.id);
+
+    if (format === 'bracket') {
+      await createBracketRound(client, event, 1, entries, event.scheduled_start);
+    } else {
+      await scheduleSessions(client, event, 1, entries.map(entry => ({ entry })), event.scheduled_start);
+    }
+
+    return event;
+  });
+}
+
+// Re-run an event session that was cancelled or voided: schedule a fresh
+// session for the same entry, round and match after the usual gap, and point
+// the match at it. Must run inside the caller's transaction.
+async function replaceEventSession(client, session) {
+  const eventResult = await client.query('SELECT * FROM judging_events WHERE id = $1', [session.event_id]);
+  const event = eventResult.rows[0];
+  if (!event || !['scheduled', 'live'].includes(event.status)) return null;
+
+  const entries = await getEntries(client, event.id);
+  const entry = entries.find(e => e.id === session.event_entry_id);
+  if (!entry) return null;
+
+  const gap = event.gap_minutes ?? DEFAULT_GAP_MINUTES;
+  const [replacementId] = await scheduleSessions(client, event, session.event_round,
+    [{ entry, matchId: session.event_match_id }], new Date(Date.now() + gap * 60 * 1000));
+
+  if (session.event_match_id) {
+    await client.query(
+      `UPDATE event_matches SET
+         session_a_id = CASE WHEN session_a_id = $1 THEN $2 ELSE session_a_id END,
+         session_b_id = CASE WHEN session_b_id = $1 THEN $2 ELSE session_b_id END
+       WHERE id = $3`,
+      [session.id, replacementId, session.event_match_id]
+    );
+  }
+  return replacementId;
+}
+
+// Move every still-scheduled session of an event forward so the first starts now
+async function startEventNow(pool, eventId) {
+  return withTransaction(pool, async (client) => {
+    const event = await client.query('SELECT * FROM judging_events WHERE id = $1 FOR UPDATE', [eventId]);
+    if (event.rows.length === 0) throw httpError(404, 'Event not found');
+    if (!['scheduled', 'live'].includes(event.rows[0].status)) throw httpError(400, 'Event has already finished');
+
+    const first = await client.query(
+      `SELECT MIN(scheduled_start) as first_start FROM judging_sessions
+       WHERE event_id = $1 AND status = 'scheduled'`,
+      [eventId]
+    );
+    if (!first.rows[0].first_start) throw httpError(400, 'Event has no scheduled sessions');
+
+    await client.query(
+      `UPDATE judging_sessions SET scheduled_start = scheduled_start - ($2::timestamp - NOW())
+       WHERE event_id = $1 AND status = 'scheduled'`,
+      [eventId, first.rows[0].first_start]
+    );
+    await client.query('UPDATE judging_events SET scheduled_start = NOW() WHERE id = $1 AND status = $2', [eventId, 'scheduled']);
+    return event.rows[0];
+  });
+}
+
+// Pay out the winner market: winning stakes come back with a pro rata share
+// of the losing stakes after the house rake. With no winning stakes the house
+// keeps the pool. Event trades don't count towards session trading stats.
+async function settleEventTrades(client, event, winnerEntryId) {
+  const trades = await client.query(
+    `SELECT * FROM event_trades WHERE event_id = $1 AND status = 'pending' ORDER BY created_at FOR UPDATE`,
+    [event.id]
+  );
+  const rake = parseFloat(event.house_rake ?? DEFAULT_HOUSE_RAKE);
+  const winPool = trades.rows.filter(t => t.entry_id === winnerEntryId).reduce((sum, t) => sum + parseFloat(t.amount), 0);
+  const losePool = trades.rows.filter(t => t.entry_id !== winnerEntryId).reduce((sum, t) => sum + parseFloat(t.amount), 0);
+  const distributable = winPool > 0 ? losePool * (1 - rake) : 0;
+
+  let distributed = 0;
+  const results = [];
+  for (const trade of trades.rows) {
+    const amount = parseFloat(trade.amount);
+    const won = trade.entry_id === winnerEntryId;
+    let payout = 0;
+    if (won) {
+      // Round shares down to the cent so we never pay out more than the pool
+      const share = Math.floor((distributable * amount / winPool) * 100) / 100;
+      payout = round2(amount + share);
+      distributed += share;
+    }
+
+    await client.query(
+      `UPDATE event_trades SET status = 'settled', outcome = $1, payout = $2, settled_at = NOW() WHERE id = $3`,
+      [won ? 'win' : 'loss', payout, trade.id]
+    );
+    if (payout > 0) {
+      await postEntry(client, {
+        traderId: trade.trader_id,
+        type: 'event_payout',
+        amount: payout,
+        eventTradeId: trade.id,
+        memo: `Event winner market: ${event.title}`
+      });
+    }
+    results.push({ userId: trade.user_id, userType: trade.user_type, tradeId: trade.id, entryId: trade.entry_id, amount, outcome: won ? 'win' : 'loss', payout });
+  }
+
+  await client.query(
+    'UPDATE judging_events SET house_rake_collected = $1 WHERE id = $2',
+    [round2(losePool - distributed), event.id]
+  );
+  return results;
+}
+
+async function completeEvent(client, event, winnerEntryId) {
+  await client.query(
+    `UPDATE judging_events SET status = 'completed', winner_entry_id = $1, ended_at = NOW() WHERE id = $2`,
+    [winnerEntryId, event.id]
+  );
+  await client.query(
+    `UPDATE event_entries SET status = CASE WHEN id = $1 THEN 'winner' ELSE status END WHERE event_id = $2`,
+    [winnerEntryId, event.id]
+  );
+  return settleEventTrades(client, event, winnerEntryId);
+}
+
+// Higher consensus wins; ties go to the better (lower) seed
+function better(a, b) {
+  const ca = parseFloat(a.final_consensus ?? 0);
+  const cb = parseFloat(b.final_consensus ?? 0);
+  if (ca !== cb) return ca > cb ? a : b;
+  return a.seed < b.seed ? a : b;
+}
+
+// Bring an event up to date with its sessions: mark it live, record session
+// results, decide matches, schedule the next bracket round and finish the
+// event. Locks the event row; calling it again with nothing new is a no-op.
+async function advanceEvent(pool, io, eventId) {
+  const outcome = await withTransaction(pool, async (client) => {
+    const eventResult = await client.query('SELECT * FROM judging_events WHERE id = $1 FOR UPDATE', [eventId]);
+    if (eventResult.rows.length === 0) return null;
+    const event = eventResult.rows[0];
+    if (!['scheduled', 'live'].includes(event.status)) return null;
+
+    const sessions = await client.query(
+      `SELECT id, status, final_consensus, event_entry_id, event_round, event_match_id
+       FROM judging_sessions WHERE event_id = $1`,
+      [eventId]
+    );
+    let changed = false;
+
+    if (event.status === 'scheduled' && sessions.rows.some(s => ['live', 'completed'].includes(s.status))) {
+      await client.query(`UPDATE judging_events SET status = 'live', started_at = NOW() WHERE id = $1`, [eventId]);
+      changed = true;
+    }
+
+    // Latest completed result for each entry
+    for (const s of sessions.rows.filter(s => s.status === 'completed')) {
+      const updated = await client.query(
+        `UPDATE event_entries SET final_consensus = $1, last_round = $2
+         WHERE id = $3 AND (last_round IS NULL OR last_round < $2)
+         RETURNING id`,
+        [s.final_consensus, s.event_round, s.event_entry_id]
+      );
+      if (updated.rows.length > 0) changed = true;
+    }
+
+    const entries = await getEntries(client, eventId);
+    const byId = new Map(entries.map(e => [e.id, e]));
+    let winnerEntryId = null;
+
+    if (event.format === 'sequence') {
+      // Cancelled and voided sessions have been replaced by a re-run
+      const counted = sessions.rows.filter(s => !ABANDONED_STATUSES.includes(s.status));
+      if (counted.length > 0 && counted.every(s => s.status === 'completed')) {
+        winnerEntryId = entries.reduce((best, e) => better(best, e)).id;
+      }
+    } else {
+      const currentRound = await client.query(
+        'SELECT COALESCE(MAX(round), 1) as round FROM event_matches WHERE event_id = $1',
+        [eventId]
+      );
+      const round = currentRound.rows[0].round;
+      const matches = await client.query(
+        'SELECT * FROM event_matches WHERE event_id = $1 AND round = $2 ORDER BY match_number FOR UPDATE',
+        [eventId, round]
+      );
+      const sessionById = new Map(sessions.rows.map(s => [s.id, s]));
+
+      for (const match of matches.rows.filter(m => !m.winner_entry_id)) {
+        const a = sessionById.get(match.session_a_id);
+        const b = sessionById.get(match.session_b_id);
+        if (!a || !b || a.status !== 'completed' || b.status !== 'completed') continue;
+
+        const entryA = { ...byId.get(match.entry_a_id), final_consensus: a.final_consensus };
+        const entryB = { ...byId.get(match.entry_b_id), final_consensus: b.final_consensus };
+        const winner = better(entryA, entryB);
+        const loser = winner.id === entryA.id ? entryB : entryA;
+        await client.query(
+          `UPDATE event_matches SET winner_entry_id = $1, status = 'completed', completed_at = NOW() WHERE id = $2`,
+          [winner.id, match.id]
+        );
+        await client.query(
+          `UPDATE event_entries SET status = 'eliminated', eliminated_round = $1 WHERE id = $2`,
+          [round, loser.id]
+        );
+        match.winner_entry_id = winner.id;
+        changed = true;
+      }
+
+      if (matches.rows.length > 0 && matches.rows.every(m => m.winner_entry_id)) {
+        const winners = matches.rows.map(m => byId.get(m.winner_entry_id));
+        if (winners.length === 1) {
+          winnerEntryId = winners[0].id;
+        } else {
+          const gap = event.gap_minutes ?? DEFAULT_GAP_MINUTES;
+          await createBracketRound(client, event, round + 1, winners, new Date(Date.now() + gap * 60 * 1000));
+          changed = true;
+        }
+      }
+    }
+
+    let settled = [];
+    if (winnerEntryId) {
+      settled = await completeEvent(client, event, winnerEntryId);
+      changed = true;
+    }
+
+    return { changed, event, winner: winnerEntryId ? byId.get(winnerEntryId) : null, settled };
+  });
+
+  if (io && outcome && outcome.changed) {
+    const judging = io.of('/judging');
+    judging.to(`event:${eventId}`).emit('event-update', { eventId });
+    if (outcome.winner) {
+      judging.emit('event-completed', {
+        eventId,
+        title: outcome.event.title,
+        winner: { entryId: outcome.winner.id, songTitle: outcome.winner.song_title, songArtist: outcome.winner.song_artist }
+      });
+      for (const result of outcome.settled) {
+        judging.to(userRoom(result.userId, result.userType)).emit('event-trade-settled', { eventId, ...result });
+      }
+    }
+  }
+  return outcome;
+}
+
+// Give back every open stake on the winner market, the way a called-off
+// session refunds its trades. Must run inside the caller's transaction.
+async function refundEventTrades(client, event, reason) {
+  const trades = await client.query(
+    `SELECT * FROM event_trades WHERE event_id = $1 AND status = 'pending' ORDER BY created_at FOR UPDATE`,
+    [event.id]
+  );
+  const results = [];
+  for (const trade of trades.rows) {
+    const amount = parseFloat(trade.amount);
+    await client.query(
+      `UPDATE event_trades SET status = 'voided', outcome = 'void', payout = $1, settled_at = NOW() WHERE id = $2`,
+      [amount, trade.id]
+    );
+    await postEntry(client, {
+      traderId: trade.trader_id,
+      type: 'void_refund',
+      amount,
+      eventTradeId: trade.id,
+      memo: `Event cancelled: ${reason}`
+    });
+    results.push({ userId: trade.user_id, userType: trade.user_type, tradeId: trade.id, entryId: trade.entry_id, amount, outcome: 'void', payout: amount });
+  }
+  return results;
+}
+
+// Call off an unfinished event: refund the winner market, then cancel its
+// scheduled sessions and void its live one (refunding their trades too).
+// Also the way out for an event stuck on a match that can't be re-run.
+async function cancelEvent(pool, io, eventId, { reason, cancelledBy } = {}) {
+  if (!reason || !String(reason).trim()) throw httpError(400, 'reason is required');
+
+  const summary = await withTransaction(pool, async (client) => {
+    const eventResult = await client.query('SELECT * FROM judging_events WHERE id = $1 FOR UPDATE', [eventId]);
+    if (eventResult.rows.length === 0) throw httpError(404, 'Event not found');
+    const event = eventResult.rows[0];
+    if (!['scheduled', 'live'].includes(event.status)) throw httpError(400, 'Event has already finished');
+
+    await client.query(
+      `UPDATE judging_events SET status = 'cancelled', cancel_reason = $1, cancelled_at = NOW(),
+                                 cancelled_by = $2, ended_at = NOW()
+       WHERE id = $3`,
+      [reason, cancelledBy || null, eventId]
+    );
+    const results = await refundEventTrades(client, event, reason);
+    const sessions = await client.query(
+      `SELECT id, status FROM judging_sessions WHERE event_id = $1 AND status IN ('scheduled', 'live')`,
+      [eventId]
+    );
+    return { eventId, reason, tradesRefunded: results.length, results, sessions: sessions.rows };
+  });
+
+  // Required here because sessions.js requires this module. The event is
+  // already cancelled, so none of these sessions gets re-run.
+  const { cancelSession, voidSession } = require('./sessions');
+  let sessionsCalledOff = 0;
+  for (const session of summary.sessions) {
+    const callOff = session.status === 'scheduled' ? cancelSession : voidSession;
+    try {
+      await callOff(pool, io, session.id, { reason: `Event cancelled: ${reason}`, voidedBy: cancelledBy });
+      sessionsCalledOff++;
+    } catch (err) {
+      console.error(`Failed to call off session ${session.id} of cancelled event ${eventId}:`, err);
+    }
+  }
+
+  if (io) {
+    const judging = io.of('/judging');
+    judging.to(`event:${eventId}`).emit('event-update', { eventId });
+    for (const result of summary.results) {
+      judging.to(userRoom(result.userId, result.userType)).emit('event-trade-settled', { eventId, ...result });
+    }
+  }
+
+  const { sessions, ...rest } = summary;
+  return { ...rest, sessionsCalledOff };
+}
+
+// Advance every unfinished event (for the scheduler). One event failing
+// doesn't hold up the others.
+async function advanceEvents(pool, io) {
+  const open = await pool.query(`SELECT id FROM judging_events WHERE status IN ('scheduled', 'live')`);
+  for (const row of open.rows) {
+    try {
+      await advanceEvent(pool, io, row.id);
+    } catch (err) {
+      console.error(`Scheduler: failed to advance event ${row.id}:`, err);
+    }
+  }
+}
+
+// Pools and implied payout multipliers for the winner market
+async function getEventMarket(db, eventId) {
+  const result = await db.query(
+    `SELECT e.id as entry_id, e.seed, s.title as song_title, ev.house_rake,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.status IN ('pending', 'settled')), 0) as pool,
+            COUNT(t.id) FILTER (WHERE t.status IN ('pending', 'settled')) as trade_count
+     FROM event_entries e
+     JOIN judging_events ev ON ev.id = e.event_id
+     JOIN songs s ON e.song_id = s.id
+     LEFT JOIN event_trades t ON t.entry_id = e.id
+     WHERE e.event_id = $1
+     GROUP BY e.id, e.seed, s.title, ev.house_rake
+     ORDER BY e.seed`,
+    [eventId]
+  );
+  const rake = parseFloat(result.rows[0]?.house_rake ?? DEFAULT_HOUSE_RAKE);
+  const total = result.rows.reduce((sum, r) => sum + parseFloat(r.pool), 0);
+
+  return {
+    houseRake: rake,
+    totalPool: round2(total),
+    entries: result.rows.map(r => {
+      const pool = parseFloat(r.pool);
+      return {
+        entryId: r.entry_id,
+        seed: r.seed,
+        songTitle: r.song_title,
+        pool: round2(pool),
+        tradeCount: parseInt(r.trade_count),
+        odds: pool > 0 ? round2(1 + ((total - pool) * (1 - rake)) / pool) : null
+      };
+    })
+  };
+}
+
+// Stake on a song winning the event. Open until the first session starts.
+async function placeEventTrade(pool, userId, userType, eventId, entryId, amount) {
+  return withTransaction(pool, async (client) => {
+    const event = await client.query('SELECT id, status FROM judging_events WHERE id = $1 FOR SHARE', [eventId]);
+    if (event.rows.length === 0) throw httpError(404, 'Event not found');
+
+    const started = await client.query(
+      `SELECT 1 FROM judging_sessions WHERE event_id = $1 AND status IN ('live', 'completed') LIMIT 1`,
+      [eventId]
+    );
+    if (event.rows[0].status !== 'scheduled' || started.rows.length > 0) {
+      throw httpError(400, 'Trading on this event has closed');
+    }
+
+    const entry = await client.query('SELECT id FROM event_entries WHERE id = $1 AND event_id = $2', [entryId, eventId]);
+    if (entry.rows.length === 0) throw httpError(404, 'Entry not found');
+
+    const trader = await ensureTrader(client, userId, userType);
+    if (parseFloat(trader.play_money_balance) < amount) throw httpError(400, 'Insufficient balance');
+
+    const inserted = await client.query(
+      `INSERT INTO event_trades (event_id, entry_id, user_id, user_type, trader_id, amount)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [eventId, entryId, userId, userType, trader.id, amount]
+    );
+    await postEntry(client, {
+      traderId: trader.id,
+      type: 'event_stake',
+      amount: -amount,
+      eventTradeId: inserted.rows[0].id,
+      memo: 'Event winner market stake'
+    });
+    return inserted.rows[0];
+  });
+}
+
+// Event with entries, sessions, bracket and market, for public display
+async function getEvent(db, eventId) {
+  const event = await db.query('SELECT * FROM judging_events WHERE id = $1', [eventId]);
+  if (event.rows.length === 0) throw httpError(404, 'Event not found');
+
+  const entries = await getEntries(db, eventId);
+  const sessions = await db.query(
+    `SELECT id, title, status, scheduled_start, actual_start, end_time, final_consensus,
+            event_entry_id, event_round, event_match_id
+     FROM judging_sessions WHERE event_id = $1
+     ORDER BY scheduled_start ASC`,
+    [eventId]
+  );
+  const matches = await db.query(
+    'SELECT * FROM event_matches WHERE event_id = $1 ORDER BY round, match_number',
+    [eventId]
+  );
+
+  const bracket = [];
+  for (const match of matches.rows) {
+    if (!bracket[match.round - 1]) bracket[match.round - 1] = { round: match.round, matches: [] };
+    bracket[match.round - 1].matches.push(match);
+  }
+
+  return {
+    ...event.rows[0],
+    entries,
+    sessions: sessions.rows,
+    bracket: bracket.filter(Boolean),
+    market: await getEventMarket(db, eventId)
+  };
+}
+
+module.exports = {
+  EVENT_FORMATS,
+  createEvent,
+  startEventNow,
+  advanceEvent,
+  advanceEvents,
+  cancelEvent,
+  replaceEventSession,
+  getEvent,
+  getEventMarket,
+  placeEventTrade
+};
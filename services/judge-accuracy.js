@@ -0,0 +1,113 @@
+const { compute, latestRatings } = require('./consensus');
+
+// Judge accuracy scoring.
+// After a session settles, each judge's final rating is compared with the
+// consensus of the other judges (leave-one-out, so nobody is scored against
+// their own rating) and, when the song is an anchor, with the anchor's
+// correct rating. Consensus is only used when the session had at least
+// MIN_CONSENSUS_JUDGES judges; below that only anchors are scored. The
+// per-session score uses the same scale as the screening test (100 minus
+// twice the deviation) and is folded into judges.accuracy_score as an
+// exponentially decayed average, so recent sessions count more than old ones.
+
+// Weight of the newest session in the decayed average
+const ACCURACY_DECAY = parseFloat(process.env.JUDGE_ACCURACY_DECAY) || 0.2;
+// Share of the session score taken from the anchor comparison when available
+const ANCHOR_WEIGHT = 0.5;
+// Judges a session needs before anyone is scored against consensus
+const MIN_CONSENSUS_JUDGES = process.env.JUDGE_MIN_CONSENSUS_JUDGES !== undefined
+  ? parseInt(process.env.JUDGE_MIN_CONSENSUS_JUDGES) || 0
+  : 3;
+
+function deviationScore(deviation) {
+  return Math.max(0, 100 - deviation * 2);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// One judge's session score. `judges` is every judge's latest rating in the
+// session; returns null when there is nothing to score against.
+function scoreJudge(judge, judges, algorithm, anchorRating) {
+  let peerConsensus = null;
+  let consensusDeviation = null;
+  if (judges.length >= MIN_CONSENSUS_JUDGES) {
+    peerConsensus = compute(algorithm, judges.filter(j => j.judge_id !== judge.judge_id));
+    if (peerConsensus !== null) consensusDeviation = Math.abs(judge.rating - peerConsensus);
+  }
+  const anchorDeviation = anchorRating !== null ? Math.abs(judge.rating - anchorRating) : null;
+
+  let sessionAccuracy;
+  if (consensusDeviation !== null && anchorDeviation !== null) {
+    sessionAccuracy = deviationScore(consensusDeviation) * (1 - ANCHOR_WEIGHT) + deviationScore(anchorDeviation) * ANCHOR_WEIGHT;
+  } else if (consensusDeviation !== null) {
+    sessionAccuracy = deviationScore(consensusDeviation);
+  } else if (anchorDeviation !== null) {
+    sessionAccuracy = deviationScore(anchorDeviation);
+  } else {
+    return null;
+  }
+  return { peerConsensus, consensusDeviation, anchorDeviation, sessionAccuracy };
+}
+
+// Score every judge who rated the session. Safe to call more than once for
+// the same session: judges that already have a history row are skipped.
+// Judges with nothing to be scored against are left out of the result.
+async function updateJudgeAccuracy(db, sessionId, { finalConsensus, algorithm }) {
+  const anchor = await db.query(
+    `SELECT a.correct_rating
+     FROM judging_sessions js
+     JOIN anchor_songs a ON a.song_id = js.song_id
+     WHERE js.id = $1`,
+    [sessionId]
+  );
+  const anchorRating = anchor.rows.length > 0 ? anchor.rows[0].correct_rating : null;
+
+  const judges = await latestRatings(db, sessionId);
+  const history = await db.query(
+    `SELECT judge_id, (session_id = $2) as this_session
+     FROM judge_accuracy_history WHERE judge_id = ANY($1)`,
+    [judges.map(j => j.judge_id), sessionId]
+  );
+  const scoredBefore = new Set(history.rows.map(r => r.judge_id));
+  const scoredThisSession = new Set(history.rows.filter(r => r.this_session).map(r => r.judge_id));
+
+  const results = [];
+  for (const judge of judges) {
+    if (scoredThisSession.has(judge.judge_id)) continue;
+    const score = scoreJudge(judge, judges, algorithm, anchorRating);
+    if (!score) continue;
+    const { peerConsensus, consensusDeviation, anchorDeviation, sessionAccuracy } = score;
+
+    // The first scored session seeds the average. Judges who judged before
+    // scoring existed have sessions_judged > 0 but no score to decay from,
+    // so go by the history table rather than sessions_judged.
+    const previous = parseFloat(judge.accuracy_score) || 0;
+    const accuracyAfter = !scoredBefore.has(judge.judge_id)
+      ? sessionAccuracy
+      : previous * (1 - ACCURACY_DECAY) + sessionAccuracy * ACCURACY_DECAY;
+
+    await db.query(
+      `INSERT INTO judge_accuracy_history
+         (judge_id, session_id, final_rating, final_consensus, peer_consensus, peer_count, anchor_rating,
+          consensus_deviation, anchor_deviation, session_accuracy, accuracy_after)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT (judge_id, session_id) DO NOTHING`,
+      [judge.judge_id, sessionId, judge.rating, finalConsensus,
+       peerConsensus !== null ? round2(peerConsensus) : null, judges.length - 1, anchorRating,
+       consensusDeviation !== null ? round2(consensusDeviation) : null, anchorDeviation,
+       round2(sessionAccuracy), round2(accuracyAfter)]
+    );
+    await db.query(
+      'UPDATE judges SET accuracy_score = $1, updated_at = NOW() WHERE id = $2',
+      [round2(accuracyAfter), judge.judge_id]
+    );
+
+    results.push({ judgeId: judge.judge_id, sessionAccuracy: round2(sessionAccuracy), accuracyScore: round2(accuracyAfter) });
+  }
+
+  return results;
+}
+
+module.exports = { MIN_CONSENSUS_JUDGES, scoreJudge, updateJudgeAccuracy };
@@ -0,0 +1,73 @@
+const { postEntry, ensureTrader } = require('./ledger');
+const { MIN_CONSENSUS_JUDGES } = require('./judge-accuracy');
+
+// Play-money rewards for judges, paid at settlement into the same traders
+// balance (and ledger) they would trade with. Each judge who rated the
+// session earns a flat participation reward plus an accuracy reward scaled
+// by their session accuracy, which is measured against the other judges
+// (see judge-accuracy.js). Sessions with fewer than MIN_CONSENSUS_JUDGES
+// judges pay nothing, so judging alone can't earn a reward. Every payout is
+// recorded in judge_rewards with its breakdown; the unique (judge, session)
+// pair keeps a session from paying a judge twice.
+
+const PARTICIPATION_REWARD = process.env.JUDGE_PARTICIPATION_REWARD !== undefined
+  ? parseFloat(process.env.JUDGE_PARTICIPATION_REWARD) || 0
+  : 2;
+const MAX_ACCURACY_REWARD = process.env.JUDGE_ACCURACY_REWARD !== undefined
+  ? parseFloat(process.env.JUDGE_ACCURACY_REWARD) || 0
+  : 8;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function rewardFor(sessionAccuracy) {
+  const participation = PARTICIPATION_REWARD;
+  const accuracy = round2(MAX_ACCURACY_REWARD * Math.max(0, Math.min(100, sessionAccuracy)) / 100);
+  return { participation, accuracy, total: round2(participation + accuracy) };
+}
+
+// Pay every scored judge for the session. `scored` is the output of
+// updateJudgeAccuracy() and judgeCount the number of judges in the final
+// consensus. Must run inside the settlement transaction.
+async function creditJudgeRewards(client, sessionId, scored, judgeCount) {
+  const rewards = [];
+  if (judgeCount < MIN_CONSENSUS_JUDGES) return rewards;
+  for (const { judgeId, sessionAccuracy } of scored) {
+    const judge = await client.query(
+      `SELECT j.user_id, j.user_type,
+              (SELECT COUNT(*) FROM judge_rating_snapshots WHERE session_id = $2 AND judge_id = j.id AND NOT voided) as rating_count
+       FROM judges j WHERE j.id = $1`,
+      [judgeId, sessionId]
+    );
+    if (judge.rows.length === 0) continue;
+    const { user_id: userId, user_type: userType, rating_count: ratingCount } = judge.rows[0];
+
+    const reward = rewardFor(sessionAccuracy);
+    if (reward.total <= 0) continue;
+
+    const trader = await ensureTrader(client, userId, userType);
+    const inserted = await client.query(
+      `INSERT INTO judge_rewards
+         (judge_id, session_id, trader_id, rating_count, session_accuracy, participation_reward, accuracy_reward, total_reward)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (judge_id, session_id) DO NOTHING
+       RETURNING id`,
+      [judgeId, sessionId, trader.id, parseInt(ratingCount), sessionAccuracy, reward.participation, reward.accuracy, reward.total]
+    );
+    if (inserted.rows.length === 0) continue;
+
+    await postEntry(client, {
+      traderId: trader.id,
+      type: 'judge_reward',
+      amount: reward.total,
+      sessionId,
+      memo: `Judging reward (accuracy ${sessionAccuracy})`
+    });
+
+    rewards.push({ judgeId, userId, userType, sessionAccuracy, ...reward });
+  }
+  return rewards;
+}
+
+module.exports = { PARTICIPATION_REWARD, MAX_ACCURACY_REWARD, rewardFor, creditJudgeRewards };
@@ -0,0 +1,126 @@
+const { notify } = require('./notifications');
+
+// Judge lifecycle.
+//   probation  new judges, for their first PROBATION_SESSIONS scored sessions
+//   active     judges in good standing
+//   suspended  accuracy fell below SUSPENSION_ACCURACY; can't rate, may appeal
+// Judges out of probation also get a tier from their accuracy and experience.
+// The tier (and probation) scales their weight in weighted consensus.
+// evaluateJudges() runs after each settlement, once accuracy is updated.
+
+const PROBATION_SESSIONS = parseInt(process.env.JUDGE_PROBATION_SESSIONS) || 5;
+const SUSPENSION_ACCURACY = process.env.JUDGE_SUSPENSION_ACCURACY !== undefined
+  ? parseFloat(process.env.JUDGE_SUSPENSION_ACCURACY) || 0
+  : 50;
+
+// Highest first; a judge gets the first tier they qualify for
+const TIERS = [
+  { name: 'platinum', minAccuracy: 90, minSessions: 50, weight: 1.5 },
+  { name: 'gold', minAccuracy: 80, minSessions: 20, weight: 1.25 },
+  { name: 'silver', minAccuracy: 70, minSessions: 5, weight: 1 },
+  { name: 'bronze', minAccuracy: 0, minSessions: 0, weight: 0.75 }
+];
+const PROBATION_WEIGHT = 0.5;
+const RATING_STATUSES = ['active', 'probation'];
+
+function tierFor(accuracy, sessionsJudged) {
+  const tier = TIERS.find(t => accuracy >= t.minAccuracy && sessionsJudged >= t.minSessions);
+  return tier.name;
+}
+
+// Consensus weight multiplier for a judge row
+function tierWeight(judge) {
+  if (judge.status === 'probation') return PROBATION_WEIGHT;
+  const tier = TIERS.find(t => t.name === judge.tier);
+  return tier ? tier.weight : 1;
+}
+
+async function notifyJudge(db, judge, type, title, message, data) {
+  await notify(db, {
+    userId: judge.user_id,
+    userType: judge.user_type,
+    type,
+    title,
+    message,
+    data: { link: '/judge-dashboard.html', ...data }
+  });
+}
+
+// Re-evaluate status and tier for the given judges and notify them of any
+// change. Must run inside the settlement transaction.
+async function evaluateJudges(client, judgeIds) {
+  if (judgeIds.length === 0) return [];
+  const judges = await client.query(
+    'SELECT * FROM judges WHERE id = ANY($1) FOR UPDATE',
+    [judgeIds]
+  );
+
+  const changes = [];
+  for (const judge of judges.rows) {
+    const accuracy = parseFloat(judge.accuracy_score) || 0;
+    const probationDone = judge.sessions_judged - (judge.probation_sessions_start || 0) >= PROBATION_SESSIONS;
+    let status = judge.status;
+    let reason = null;
+
+    if (judge.status === 'probation' && probationDone) {
+      if (accuracy < SUSPENSION_ACCURACY) {
+        status = 'suspended';
+        reason = `Accuracy ${accuracy} below ${SUSPENSION_ACCURACY} at the end of probation`;
+      } else {
+        status = 'active';
+      }
+    } else if (judge.status === 'active' && accuracy < SUSPENSION_ACCURACY) {
+      status = 'suspended';
+      reason = `Accuracy ${accuracy} fell below ${SUSPENSION_ACCURACY}`;
+    }
+
+    const tier = tierFor(accuracy, judge.sessions_judged);
+    if (status === judge.status && tier === judge.tier) continue;
+
+    await client.query(
+      `UPDATE judges SET status = $1, tier = $2, suspension_reason = $3,
+              suspended_at = CASE WHEN $1 = 'suspended' THEN NOW() ELSE suspended_at END,
+              updated_at = NOW()
+       WHERE id = $4`,
+      [status, tier, status === 'suspended' ? reason : null, judge.id]
+    );
+
+    if (status === 'suspended' && judge.status !== 'suspended') {
+      await notifyJudge(client, judge, 'judge_suspended', 'Judging suspended',
+        `${reason}. You can appeal from your judge dashboard.`, { accuracy });
+    } else if (judge.status === 'probation' && status === 'active') {
+      await notifyJudge(client, judge, 'judge_probation_complete', 'Probation complete',
+        `You are now a full judge at ${tier} tier.`, { tier, accuracy });
+    } else if (status === 'active' && tier !== judge.tier && judge.tier) {
+      const promoted = TIERS.findIndex(t => t.name === tier) < TIERS.findIndex(t => t.name === judge.tier);
+      await notifyJudge(client, judge, 'judge_tier_changed', promoted ? 'Tier promotion' : 'Tier change',
+        `Your judge tier is now ${tier}.`, { tier, previous_tier: judge.tier, accuracy });
+    }
+
+    changes.push({ judgeId: judge.id, status, tier, previousStatus: judge.status, previousTier: judge.tier });
+  }
+  return changes;
+}
+
+// Give judges that predate tiers their tier
+async function backfillTiers(db) {
+  const judges = await db.query('SELECT id, accuracy_score, sessions_judged FROM judges WHERE tier IS NULL');
+  for (const judge of judges.rows) {
+    await db.query('UPDATE judges SET tier = $1 WHERE id = $2', [
+      tierFor(parseFloat(judge.accuracy_score) || 0, judge.sessions_judged),
+      judge.id
+    ]);
+  }
+}
+
+module.exports = {
+  PROBATION_SESSIONS,
+  SUSPENSION_ACCURACY,
+  TIERS,
+  RATING_STATUSES,
+  tierFor,
+  tierWeight,
+  notifyJudge,
+  evaluateJudges,
+  backfillTiers
+};
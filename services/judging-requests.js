@@ -0,0 +1,251 @@
+const { withTransaction } = require('./transaction');
+const { httpError } = require('./errors');
+const { notify } = require('./notifications');
+
+// Creator-requested judging sessions.
+// Creators queue one of their own songs for judging; an admin approves it
+// (queued for a later slot), schedules it (creates the judging session) or
+// rejects it. Fair share is enforced per creator: a cap on open requests,
+// and a cap on sessions scheduled from requests in any rolling week. The
+// admin queue lists pending requests from creators with the fewest recent
+// sessions first. Creators are notified of every decision and of the final
+// result once their session settles.
+
+const MAX_OPEN_REQUESTS = process.env.JUDGING_REQUEST_MAX_OPEN !== undefined
+  ? parseInt(process.env.JUDGING_REQUEST_MAX_OPEN) || 0
+  : 3;
+const MAX_SESSIONS_PER_WEEK = process.env.JUDGING_REQUEST_MAX_PER_WEEK !== undefined
+  ? parseInt(process.env.JUDGING_REQUEST_MAX_PER_WEEK) || 0
+  : 2;
+const OPEN_STATUSES = ['pending', 'approved'];
+const ACTIONS = ['approve', 'schedule', 'reject'];
+
+// Sessions scheduled from a creator's requests in the last week, the figure
+// the weekly cap is checked against. Sessions an admin cancelled or voided
+// don't count against the creator. `creatorId` is a SQL expression.
+function recentSessionsSql(creatorId) {
+  return `SELECT COUNT(*) FROM judging_sessions rjs
+          JOIN judging_requests rr ON rr.id = rjs.judging_request_id
+          WHERE rr.creator_id = ${creatorId}
+            AND rjs.status NOT IN ('cancelled', 'voided')
+            AND rjs.created_at > NOW() - INTERVAL '7 days'`;
+}
+
+async function notifyCreator(db, creatorId, type, title, message, data) {
+  await notify(db, {
+    userId: creatorId,
+    userType: 'creator',
+    type,
+    title,
+    message,
+    data: { link: '/admin.html', ...data }
+  });
+}
+
+async function submitRequest(pool, creatorId, songId, notes) {
+  if (!songId) throw httpError(400, 'song_id is required');
+
+  return withTransaction(pool, async (client) => {
+    // Serialise a creator's submissions so the open-request cap holds
+    await client.query('SELECT id FROM creators WHERE id = $1 FOR UPDATE', [creatorId]);
+
+    const song = await client.query('SELECT id, title FROM songs WHERE id = $1 AND creator_id = $2', [songId, creatorId]);
+    if (song.rows.length === 0) throw httpError(404, 'Song not found');
+
+    const open = await client.query(
+      `SELECT song_id FROM judging_requests WHERE creator_id = $1 AND status = ANY($2)`,
+      [creatorId, OPEN_STATUSES]
+    );
+    if (open.rows.some(r => r.song_id === songId)) throw httpError(400, 'This song is already in the judging queue');
+    if (open.rows.length >= MAX_OPEN_REQUESTS) {
+      throw httpError(429, `You can have at most ${MAX_OPEN_REQUESTS} open judging requests`);
+    }
+
+    const active = await client.query(
+      `SELECT 1 FROM judging_sessions WHERE song_id = $1 AND status IN ('scheduled', 'live') LIMIT 1`,
+      [songId]
+    );
+    if (active.rows.length > 0) throw httpError(400, 'This song already has a judging session');
+
+    const inserted = await client.query(
+      `INSERT INTO judging_requests (song_id, creator_id, notes)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [songId, creatorId, notes ? String(notes).slice(0, 1000) : null]
+    );
+    return inserted.rows[0];
+  });
+}
+
+// Withdraw a request that hasn't been scheduled yet
+async function withdrawRequest(pool, creatorId, requestId) {
+  const result = await pool.query(
+    `UPDATE judging_requests SET status = 'withdrawn', reviewed_at = NOW()
+     WHERE id = $1 AND creator_id = $2 AND status = ANY($3)
+     RETURNING *`,
+    [requestId, creatorId, OPEN_STATUSES]
+  );
+  if (result.rows.length === 0) throw httpError(404, 'Open request not found');
+  return result.rows[0];
+}
+
+// A creator's requests with the outcome of any resulting session
+async function listCreatorRequests(db, creatorId) {
+  const result = await db.query(
+    `SELECT r.*, s.title as song_title, s.artist as song_artist, s.artwork_url,
+            js.status as session_status, js.scheduled_start, js.actual_start, js.end_time,
+            js.final_consensus, js.judge_count
+     FROM judging_requests r
+     JOIN songs s ON r.song_id = s.id
+     LEFT JOIN judging_sessions js ON r.session_id = js.id
+     WHERE r.creator_id = $1
+     ORDER BY r.created_at DESC`,
+    [creatorId]
+  );
+  return result.rows;
+}
+
+// Admin queue. Pending requests come first, ordered so creators with the
+// fewest sessions in the last 30 days are seen first.
+async function listQueue(db, status) {
+  const params = [];
+  let where = '';
+  if (status && status !== 'all') {
+    params.push(status);
+    where = 'WHERE r.status = $1';
+  }
+  const result = await db.query(
+    `SELECT r.*, s.title as song_title, s.artist as song_artist,
+            c.username as creator_username, c.artist_name,
+            js.status as session_status, js.scheduled_start, js.final_consensus, js.judge_count,
+            (${recentSessionsSql('r.creator_id')}) as recent_sessions,
+            (SELECT COUNT(*) FROM judging_requests r3
+             WHERE r3.creator_id = r.creator_id AND r3.status = ANY($${params.length + 1})) as open_requests
+     FROM judging_requests r
+     JOIN songs s ON r.song_id = s.id
+     LEFT JOIN creators c ON r.creator_id = c.id
+     LEFT JOIN judging_sessions js ON r.session_id = js.id
+     ${where}
+     ORDER BY (r.status = 'pending') DESC, recent_sessions ASC, r.created_at ASC
+     LIMIT 200`,
+    [...params, OPEN_STATUSES]
+  );
+  return result.rows;
+}
+
+// Approve, schedule or reject a request. Scheduling creates the session and
+// is subject to the creator's weekly cap.
+async function reviewRequest(pool, requestId, { action, note, scheduledStart, tradingWindowMinutes, judgingDurationMinutes, createdBy }) {
+  if (!ACTIONS.includes(action)) throw httpError(400, 'action must be "approve", "schedule" or "reject"');
+  const start = scheduledStart ? new Date(scheduledStart) : new Date();
+  if (isNaN(start.getTime())) throw httpError(400, 'scheduled_start is not a valid date');
+
+  return withTransaction(pool, async (client) => {
+    const result = await client.query(
+      `SELECT r.*, s.title as song_title
+       FROM judging_requests r
+       JOIN songs s ON r.song_id = s.id
+       WHERE r.id = $1
+       FOR UPDATE OF r`,
+      [requestId]
+    );
+    if (result.rows.length === 0) throw httpError(404, 'Request not found');
+    const request = result.rows[0];
+    if (!OPEN_STATUSES.includes(request.status)) throw httpError(400, `Request is already ${request.status}`);
+
+    if (action === 'reject') {
+      const updated = await client.query(
+        `UPDATE judging_requests SET status = 'rejected', admin_note = $1, reviewed_at = NOW()
+         WHERE id = $2 RETURNING *`,
+        [note || null, requestId]
+      );
+      await notifyCreator(client, request.creator_id, 'judging_request_rejected', 'Judging request declined',
+        note || `"${request.song_title}" wasn't picked for judging this time.`, { request_id: requestId });
+      return { request: updated.rows[0], session: null };
+    }
+
+    if (action === 'approve') {
+      if (request.status === 'approved') throw httpError(400, 'Request is already approved');
+      const updated = await client.query(
+        `UPDATE judging_requests SET status = 'approved', admin_note = $1, reviewed_at = NOW()
+         WHERE id = $2 RETURNING *`,
+        [note || null, requestId]
+      );
+      await notifyCreator(client, request.creator_id, 'judging_request_approved', 'Judging request approved',
+        `"${request.song_title}" is approved and waiting for a judging slot.`, { request_id: requestId });
+      return { request: updated.rows[0], session: null };
+    }
+
+    const recent = await client.query(`SELECT (${recentSessionsSql('$1')}) as count`, [request.creator_id]);
+    if (parseInt(recent.rows[0].count) >= MAX_SESSIONS_PER_WEEK) {
+      throw httpError(429, `This creator already has ${MAX_SESSIONS_PER_WEEK} requested sessions this week`);
+    }
+
+    const session = await client.query(
+      `INSERT INTO judging_sessions (song_id, title, scheduled_start, status, created_by,
+                                     trading_window_minutes, judging_duration_minutes, judging_request_id)
+       VALUES ($1, $2, $3, 'scheduled', $4, $5, $6, $7)
+       RETURNING *`,
+      [request.song_id, `Judging: ${request.song_title}`, start, createdBy || null,
+       tradingWindowMinutes || null, judgingDurationMinutes || null, requestId]
+    );
+    const updated = await client.query(
+      `UPDATE judging_requests SET status = 'scheduled', session_id = $1, admin_note = COALESCE($2, admin_note), reviewed_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [session.rows[0].id, note || null, requestId]
+    );
+    await notifyCreator(client, request.creator_id, 'judging_request_scheduled', 'Judging session scheduled',
+      `"${request.song_title}" will be judged from ${start.toISOString()}.`,
+      { request_id: requestId, session_id: session.rows[0].id, scheduled_start: start });
+    return { request: updated.rows[0], session: session.rows[0] };
+  });
+}
+
+// Tell the creator how their requested session went (called after settlement)
+async function notifyRequestResult(db, sessionId) {
+  const result = await db.query(
+    `SELECT r.id, r.creator_id, s.title as song_title, js.final_consensus, js.judge_count
+     FROM judging_requests r
+     JOIN judging_sessions js ON r.session_id = js.id
+     JOIN songs s ON r.song_id = s.id
+     WHERE r.session_id = $1`,
+    [sessionId]
+  );
+  for (const row of result.rows) {
+    const consensus = Math.round(parseFloat(row.final_consensus) * 100) / 100;
+    await notifyCreator(db, row.creator_id, 'judging_request_result', 'Judging results are in',
+      `"${row.song_title}" finished with a consensus of ${consensus} from ${row.judge_count || 0} judges.`,
+      { request_id: row.id, session_id: sessionId, final_consensus: consensus, judge_count: row.judge_count });
+  }
+}
+
+// Put a request back in the approved queue when its session is cancelled or
+// voided, so it can be scheduled again. Must run inside the caller's transaction.
+async function requeueRequest(client, sessionId, reason) {
+  const result = await client.query(
+    `UPDATE judging_requests r SET status = 'approved', session_id = NULL,
+       admin_note = $2, reviewed_at = NOW()
+     FROM songs s
+     WHERE r.session_id = $1 AND s.id = r.song_id
+     RETURNING r.id, r.creator_id, s.title as song_title`,
+    [sessionId, reason]
+  );
+  for (const row of result.rows) {
+    await notifyCreator(client, row.creator_id, 'judging_request_requeued', 'Judging session called off',
+      `The session for "${row.song_title}" was called off (${reason}). Your request is back in the queue.`,
+      { request_id: row.id, session_id: sessionId });
+  }
+  return result.rows;
+}
+
+module.exports = {
+  MAX_OPEN_REQUESTS,
+  MAX_SESSIONS_PER_WEEK,
+  submitRequest,
+  withdrawRequest,
+  listCreatorRequests,
+  listQueue,
+  reviewRequest,
+  requeueRequest,
+  notifyRequestResult
+};
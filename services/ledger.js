@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Double-entry play-money ledger.
+// Every change to traders.play_money_balance goes through postEntry(), which
+// applies the change and writes a balanced pair of ledger_entries rows: one
+// on the trader's account and the mirror image on the house account. A
+// trader's balance should always equal the sum of their 'trader' rows, and
+// every journal should sum to zero; reconcile() reports where that fails.
+
+const STARTING_BALANCE = 100;
+
+const ENTRY_TYPES = [
+  'opening_balance', // backfill for balances that predate the ledger
+  'starting_bonus',
+  'trade_stake',
+  'win_payout',
+  'push_refund',
+  'void_refund',
+  'early_exit',
+  'admin_grant',
+  'admin_clawback',
+  'daily_bonus',
+  'streak_reward',
+  'bailout',
+  'judge_reward',
+  'event_stake',
+  'event_payout',
+  'season_reset'
+];
+
+// Apply a signed amount (positive credits the trader) and journal it.
+// Must run inside the caller's transaction. Returns the new balance.
+// Event winner market entries reference their event trade instead of a trade.
+async function postEntry(client, {
+  traderId, type, amount, tradeId = null, sessionId = null, eventTradeId = null, memo = null, createdBy = null
+}) {
+  if (!ENTRY_TYPES.includes(type)) throw new Error(`Unknown ledger entry type: ${type}`);
+
+  const updated = await client.query(
+    'UPDATE traders SET play_money_balance = play_money_balance + $1 WHERE id = $2 RETURNING play_money_balance',
+    [amount, traderId]
+  );
+  if (updated.rows.length === 0) throw new Error(`Trader not found: ${traderId}`);
+  const balanceAfter = updated.rows[0].play_money_balance;
+
+  const journalId = crypto.randomUUID();
+  await client.query(
+    `INSERT INTO ledger_entries
+       (journal_id, account, trader_id, entry_type, amount, balance_after, trade_id, session_id, event_trade_id, memo, created_by)
+     VALUES
+       ($1, 'trader', $2, $3, $4, $5, $6, $7, $8, $9, $10),
+       ($1, 'house', $2, $3, -($4::numeric), NULL, $6, $7, $8, $9, $10)`,
+    [journalId, traderId, type, amount, balanceAfter, tradeId, sessionId, eventTradeId, memo, createdBy]
+  );
+
+  return parseFloat(balanceAfter);
+}
+
+// Get the trader row for a user, creating it with its starting bonus on
+// first use. Must run inside the caller's transaction; locks the row.
+async function ensureTrader(client, userId, userType) {
+  const created = await client.query(
+    `INSERT INTO traders (user_id, user_type, play_money_balance) VALUES ($1, $2, 0)
+     ON CONFLICT (user_id, user_type) DO NOTHING
+     RETURNING id`,
+    [userId, userType]
+  );
+  if (created.rows.length > 0) {
+    await postEntry(client, {
+      traderId: created.rows[0].id,
+      type: 'starting_bonus',
+      amount: STARTING_BALANCE,
+      memo: 'Welcome bonus'
+    });
+  }
+
+  const trader = await client.query(
+    'SELECT * FROM traders WHERE user_id = $1 AND user_type = $2 FOR UPDATE',
+    [userId, userType]
+  );
+  return trader.rows[0];
+}
+
+// Compare every trader's stored balance with their ledger sum, and check that
+// every journal balances against the house account.
+async function reconcile(db) {
+  const mismatched = await db.query(
+    `SELECT tr.id, tr.user_id, tr.user_type, tr.play_money_balance,
+            COALESCE(SUM(le.amount), 0) as ledger_balance,
+            tr.play_money_balance - COALESCE(SUM(le.amount), 0) as difference,
+            COUNT(le.id) as entry_count
+     FROM traders tr
+     LEFT JOIN ledger_entries le ON le.trader_id = tr.id AND le.account = 'trader'
+     GROUP BY tr.id
+     HAVING tr.play_money_balance <> COALESCE(SUM(le.amount), 0)
+     ORDER BY ABS(tr.play_money_balance - COALESCE(SUM(le.amount), 0)) DESC`
+  );
+
+  const unbalanced = await db.query(
+    `SELECT journal_id, SUM(amount) as imbalance, MIN(created_at) as created_at
+     FROM ledger_entries
+     GROUP BY journal_id
+     HAVING SUM(amount) <> 0
+     ORDER BY MIN(created_at) DESC
+     LIMIT 100`
+  );
+
+  const totals = await db.query(
+    `SELECT
+       (SELECT COUNT(*) FROM traders) as trader_count,
+       (SELECT COALESCE(SUM(play_money_balance), 0) FROM traders) as total_balances,
+       (SELECT COALESCE(SUM(amount), 0) FROM ledger_entries WHERE account = 'trader') as total_trader_ledger,
+       (SELECT COALESCE(SUM(amount), 0) FROM ledger_entries WHERE account = 'house') as total_house_ledger`
+  );
+
+  return {
+    totals: totals.rows[0],
+    mismatched_traders: mismatched.rows,
+    unbalanced_journals: unbalanced.rows
+  };
+}
+
+module.exports = { STARTING_BALANCE, ENTRY_TYPES, postEntry, ensureTrader, reconcile };
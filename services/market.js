@@ -0,0 +1,170 @@
+const { getConsensus } = require('./consensus');
+
+// Market modes for judging sessions.
+//   fixed — every winning trade pays FIXED_WIN_MULTIPLIER times its stake
+//   pool  — parimutuel: after the house rake is taken from the losing
+//           stakes, winners split what is left pro rata on top of getting
+//           their own stake back
+// A trade's outcome is always decided against its own entry_sentiment, so
+// in pool mode the pools are the winning and losing stakes at a given
+// consensus, not the over and under stakes. Displayed odds, early exits and
+// settlement all use those pools.
+
+const MARKET_MODES = ['fixed', 'pool'];
+const FIXED_WIN_MULTIPLIER = 1.8;
+const DEFAULT_HOUSE_RAKE = process.env.POOL_HOUSE_RAKE !== undefined
+  ? parseFloat(process.env.POOL_HOUSE_RAKE)
+  : 0.05;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function tradeOutcome(trade, finalConsensus) {
+  const entry = parseFloat(trade.entry_sentiment);
+  if (Math.abs(finalConsensus - entry) < 0.5) return 'push';
+  if (trade.direction === 'over' && finalConsensus > entry) return 'win';
+  if (trade.direction === 'under' && finalConsensus < entry) return 'win';
+  return 'loss';
+}
+
+// Stakes that would win and lose if the session settled at `consensus`
+function outcomePools(trades, consensus) {
+  let winPool = 0;
+  let losePool = 0;
+  for (const trade of trades) {
+    const outcome = tradeOutcome(trade, consensus);
+    if (outcome === 'win') winPool += parseFloat(trade.amount);
+    else if (outcome === 'loss') losePool += parseFloat(trade.amount);
+  }
+  return { winPool, losePool };
+}
+
+function winMultiplier(rake, { winPool, losePool }) {
+  return winPool > 0 ? round2(1 + (losePool * (1 - rake)) / winPool) : null;
+}
+
+// Payout multiplier a new stake entered at `consensus` would receive if it
+// won by the smallest winning move, given the open trades
+function impliedOdds(mode, rake, trades, consensus) {
+  if (mode !== 'pool') {
+    return { over: FIXED_WIN_MULTIPLIER, under: FIXED_WIN_MULTIPLIER };
+  }
+  return {
+    over: winMultiplier(rake, outcomePools(trades, consensus + 0.5)),
+    under: winMultiplier(rake, outcomePools(trades, consensus - 0.5))
+  };
+}
+
+// Current pools and implied odds for a session. Pass the consensus when the
+// caller already has it; otherwise it is looked up.
+async function getMarket(db, sessionId, consensus) {
+  const result = await db.query(
+    `SELECT js.market_mode, js.house_rake, js.consensus_algorithm,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.direction = 'over'), 0) as over_pool,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.direction = 'under'), 0) as under_pool,
+            COUNT(t.id) FILTER (WHERE t.direction = 'over') as over_count,
+            COUNT(t.id) FILTER (WHERE t.direction = 'under') as under_count
+     FROM judging_sessions js
+     LEFT JOIN trades t ON t.session_id = js.id AND t.status IN ('pending', 'settled')
+     WHERE js.id = $1
+     GROUP BY js.id`,
+    [sessionId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  const mode = row.market_mode || 'fixed';
+  const rake = mode === 'pool' ? parseFloat(row.house_rake ?? DEFAULT_HOUSE_RAKE) : 0;
+  const overPool = parseFloat(row.over_pool);
+  const underPool = parseFloat(row.under_pool);
+  const total = overPool + underPool;
+
+  let openTrades = [];
+  if (mode === 'pool') {
+    if (consensus === undefined) {
+      consensus = (await getConsensus(db, sessionId, row.consensus_algorithm)).consensus;
+    }
+    const open = await db.query(
+      `SELECT direction, entry_sentiment, amount FROM trades WHERE session_id = $1 AND status = 'pending'`,
+      [sessionId]
+    );
+    openTrades = open.rows;
+  }
+
+  return {
+    mode,
+    houseRake: rake,
+    overPool: round2(overPool),
+    underPool: round2(underPool),
+    overCount: parseInt(row.over_count),
+    underCount: parseInt(row.under_count),
+    overShare: total > 0 ? round2(overPool / total) : null,
+    odds: impliedOdds(mode, rake, openTrades, consensus ?? 50)
+  };
+}
+
+// Outcome and gross payout (before the exit fee) for closing a trade early
+// at `consensus`. Fixed mode pays what settling now would. Pool mode only
+// gives the stake back: a pool win is paid from losing stakes that stay in
+// the pool and are paid out again at settlement, so paying it early would
+// pay the same money twice.
+function earlyExitPayout(mode, trade, consensus) {
+  const amount = parseFloat(trade.amount);
+  if (mode === 'pool') return { outcome: 'push', gross: amount };
+  const outcome = tradeOutcome(trade, consensus);
+  const gross = outcome === 'win' ? round2(amount * FIXED_WIN_MULTIPLIER)
+    : outcome === 'push' ? amount
+    : 0;
+  return { outcome, gross };
+}
+
+// Decide outcome and payout for every trade in a settling session.
+// Returns { resolved: [{ trade, outcome, payout }], rakeCollected }.
+function resolvePayouts(mode, rake, trades, finalConsensus) {
+  const resolved = trades.map(trade => ({
+    trade,
+    outcome: tradeOutcome(trade, finalConsensus),
+    amount: parseFloat(trade.amount)
+  }));
+
+  if (mode !== 'pool') {
+    for (const r of resolved) {
+      r.payout = r.outcome === 'win' ? round2(r.amount * FIXED_WIN_MULTIPLIER)
+        : r.outcome === 'push' ? r.amount
+        : 0;
+    }
+    return { resolved, rakeCollected: 0 };
+  }
+
+  const { winPool, losePool } = outcomePools(trades, finalConsensus);
+  // With no winners the whole losing pool stays with the house
+  const distributable = winPool > 0 ? losePool * (1 - rake) : 0;
+
+  let distributed = 0;
+  for (const r of resolved) {
+    if (r.outcome === 'win') {
+      // Round shares down to the cent so we never pay out more than the pool
+      const share = Math.floor((distributable * r.amount / winPool) * 100) / 100;
+      r.payout = round2(r.amount + share);
+      distributed += share;
+    } else if (r.outcome === 'push') {
+      r.payout = r.amount;
+    } else {
+      r.payout = 0;
+    }
+  }
+
+  return { resolved, rakeCollected: round2(losePool - distributed) };
+}
+
+module.exports = {
+  MARKET_MODES,
+  FIXED_WIN_MULTIPLIER,
+  DEFAULT_HOUSE_RAKE,
+  tradeOutcome,
+  impliedOdds,
+  getMarket,
+  earlyExitPayout,
+  resolvePayouts
+};
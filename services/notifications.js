@@ -0,0 +1,215 @@
+// In-app notifications: the inbox behind GET /notifications.
+// Every notification has a type, a short title and message, and a `data`
+// object with the ids involved plus a `link` to the page that shows them,
+// so clients can deep link. The helpers take either the pool or a
+// transaction client; pass the client when the notification should only
+// exist if the surrounding change commits.
+//
+// New notifications are pushed live on the /notifications Socket.IO
+// namespace: a database trigger announces each insert with pg_notify once
+// its transaction commits, and sockets/notifications.js forwards it to the
+// user's room. Read-state changes go through markRead / markAllRead, which
+// broadcast to the same room so every open tab stays in sync.
+
+const LINKS = {
+  trader: '/trader-dashboard.html',
+  judge: '/judge-dashboard.html',
+  player: '/player.html',
+  creator: '/admin.html'
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+const NAMESPACE = '/notifications';
+const CHANNEL = 'notifications_created';
+
+function notificationRoom(userId, userType) {
+  return `user:${userType}:${userId}`;
+}
+
+async function unreadCount(db, userId, userType) {
+  const result = await db.query(
+    'SELECT COUNT(*) as unread FROM notifications WHERE user_id = $1 AND user_type = $2 AND read = false',
+    [userId, userType]
+  );
+  return parseInt(result.rows[0].unread);
+}
+
+// Tell every open tab of this user which notifications are now read
+async function broadcastReadState(db, io, userId, userType, payload) {
+  if (!io) return;
+  const unread = await unreadCount(db, userId, userType);
+  io.of(NAMESPACE).to(notificationRoom(userId, userType)).emit('notifications-read', { ...payload, unreadCount: unread });
+}
+
+// Returns false if the notification doesn't exist or isn't this user's
+async function markRead(db, io, userId, userType, notificationId) {
+  const result = await db.query(
+    'UPDATE notifications SET read = true WHERE id = $1 AND user_id = $2 AND user_type = $3 RETURNING id',
+    [notificationId, userId, userType]
+  );
+  if (result.rows.length === 0) return false;
+  await broadcastReadState(db, io, userId, userType, { ids: [notificationId], all: false });
+  return true;
+}
+
+async function markAllRead(db, io, userId, userType) {
+  const result = await db.query(
+    'UPDATE notifications SET read = true WHERE user_id = $1 AND user_type = $2 AND read = false RETURNING id',
+    [userId, userType]
+  );
+  await broadcastReadState(db, io, userId, userType, { ids: result.rows.map(r => r.id), all: true });
+  return result.rows.length;
+}
+
+async function notify(db, { userId, userType, type, title, message, data }) {
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, user_type, type, title, message, data)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [userId, userType, type, title, message, JSON.stringify(data || {})]
+  );
+  return result.rows[0];
+}
+
+// The same notification for many users in one insert
+async function notifyMany(db, recipients, { type, title, message, data }) {
+  if (recipients.length === 0) return 0;
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, user_type, type, title, message, data)
+     SELECT r.user_id, r.user_type, $3, $4, $5, $6
+     FROM unnest($1::uuid[], $2::text[]) AS r(user_id, user_type)`,
+    [recipients.map(r => r.userId), recipients.map(r => r.userType), type, title, message, JSON.stringify(data || {})]
+  );
+  return result.rowCount;
+}
+
+// A trade resolved: settled at session end, or refunded when the session
+// was called off
+async function notifyTradeSettled(db, { userId, userType, tradeId, sessionId, sessionTitle, direction, amount, outcome, payout, finalConsensus }) {
+  const net = round2((payout || 0) - amount);
+  const name = sessionTitle || 'the session';
+  const headline = {
+    win: `Trade won: +${net.toFixed(2)}`,
+    loss: `Trade lost: ${net.toFixed(2)}`,
+    push: 'Trade pushed: stake returned',
+    void: 'Trade refunded'
+  }[outcome] || 'Trade settled';
+  const message = outcome === 'void'
+    ? `${sessionTitle || 'The session'} was called off. Your ${direction.toUpperCase()} stake of ${amount.toFixed(2)} has been refunded.`
+    : `Your ${direction.toUpperCase()} trade of ${amount.toFixed(2)} on ${name} settled at a consensus of ${finalConsensus} and paid ${(payout || 0).toFixed(2)}.`;
+  return notify(db, {
+    userId,
+    userType,
+    type: 'trade_settled',
+    title: headline,
+    message,
+    data: {
+      link: LINKS.trader,
+      trade_id: tradeId,
+      session_id: sessionId,
+      direction,
+      amount,
+      outcome,
+      payout: payout || 0,
+      net,
+      final_consensus: finalConsensus ?? null
+    }
+  });
+}
+
+// Judge screening finished
+async function notifyApplicationResult(db, application, { passed, score, nextAttemptDate }) {
+  return notify(db, {
+    userId: application.user_id,
+    userType: application.user_type,
+    type: passed ? 'judge_application_approved' : 'judge_application_rejected',
+    title: passed ? 'You are now a judge' : 'Judge application not approved',
+    message: passed
+      ? `You passed the screening test with a score of ${score}. You start on probation; your first sessions carry reduced weight.`
+      : `Your screening score of ${score} was below the pass mark. You can try again from ${new Date(nextAttemptDate).toDateString()}.`,
+    data: {
+      link: LINKS.judge,
+      application_id: application.id,
+      passed,
+      score,
+      next_attempt_date: nextAttemptDate || null
+    }
+  });
+}
+
+// A judging session went live: tell the listeners subscribed to the song's creator
+async function notifySessionLive(db, session) {
+  const song = await db.query(
+    `SELECT s.id, s.title, s.creator_id, COALESCE(c.artist_name, c.username) as creator_name
+     FROM songs s
+     JOIN creators c ON c.id = s.creator_id
+     WHERE s.id = $1`,
+    [session.song_id]
+  );
+  if (song.rows.length === 0) return 0;
+  const { id: songId, title, creator_id: creatorId, creator_name: creatorName } = song.rows[0];
+
+  const subscribers = await db.query(
+    'SELECT listener_id FROM listener_creator_subscriptions WHERE creator_id = $1',
+    [creatorId]
+  );
+  return notifyMany(db, subscribers.rows.map(r => ({ userId: r.listener_id, userType: 'listener' })), {
+    type: 'session_live',
+    title: `${creatorName} is live for judging`,
+    message: `"${title}" is being judged now. Trading is open.`,
+    data: { link: LINKS.trader, session_id: session.id, song_id: songId, creator_id: creatorId }
+  });
+}
+
+// A creator uploaded a song or video: tell their subscribers
+async function notifyNewUpload(db, creator, contentType, content) {
+  const creatorName = creator.artist_name || creator.username;
+  const data = {
+    link: contentType === 'video' ? '/videos.html' : LINKS.player,
+    creator_id: creator.id,
+    [`${contentType}_id`]: content.id
+  };
+  // Straight from the subscriptions table, in one statement
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, user_type, type, title, message, data)
+     SELECT listener_id, 'listener', $2, $3, $4, $5
+     FROM listener_creator_subscriptions WHERE creator_id = $1`,
+    [creator.id, `new_${contentType}`, `New ${contentType} from ${creatorName}`,
+     `${creatorName} just uploaded "${content.title}".`, JSON.stringify(data)]
+  );
+  return result.rowCount;
+}
+
+// An admin changed an account's status
+async function notifyAccountStatus(db, userId, userType, status) {
+  const active = status === 'active';
+  return notify(db, {
+    userId,
+    userType,
+    type: 'account_status',
+    title: active ? 'Your account has been reactivated' : 'Your account has been deactivated',
+    message: active
+      ? 'Your account is active again. Welcome back.'
+      : 'Your account has been deactivated by an administrator. Contact support if you think this is a mistake.',
+    data: { link: userType === 'creator' ? LINKS.creator : LINKS.player, status }
+  });
+}
+
+module.exports = {
+  NAMESPACE,
+  CHANNEL,
+  notificationRoom,
+  unreadCount,
+  markRead,
+  markAllRead,
+  notify,
+  notifyMany,
+  notifyTradeSettled,
+  notifyApplicationResult,
+  notifySessionLive,
+  notifyNewUpload,
+  notifyAccountStatus
+};
@@ -0,0 +1,134 @@
+// Safeguards on live judge ratings.
+//   - rate limit: a minimum gap between ratings and a per-minute cap per judge
+//     and session; repeated flooding is flagged
+//   - listening time: ratings only count once the judge has been in the
+//     session for MIN_LISTEN_SECONDS
+//   - whipsaw: repeated large swings within a minute are flagged
+//   - conflict of interest: a judge holding trades on the same session is
+//     blocked (JUDGE_TRADE_CONFLICT=block, the default) or only flagged (=flag)
+// Anything suspicious is written to judge_integrity_flags for admin review.
+// Rate and swing tracking is in memory, per server process.
+
+const MIN_RATING_INTERVAL_MS = parseInt(process.env.MIN_RATING_INTERVAL_MS) || 1000;
+const MAX_RATINGS_PER_MINUTE = parseInt(process.env.MAX_RATINGS_PER_MINUTE) || 30;
+const MIN_LISTEN_SECONDS = process.env.MIN_LISTEN_SECONDS !== undefined
+  ? parseInt(process.env.MIN_LISTEN_SECONDS) || 0
+  : 30;
+const CONFLICT_POLICY = process.env.JUDGE_TRADE_CONFLICT === 'flag' ? 'flag' : 'block';
+
+const WHIPSAW_DELTA = 40;
+const WHIPSAW_SWINGS = 3;
+const FLOOD_REJECTIONS = 10;
+const WINDOW_MS = 60 * 1000;
+
+// Record a flag, keeping at most one open flag per judge, session and type
+async function recordFlag(db, judgeId, sessionId, flagType, details) {
+  await db.query(
+    `INSERT INTO judge_integrity_flags (judge_id, session_id, flag_type, details)
+     SELECT $1, $2, $3, $4
+     WHERE NOT EXISTS (
+       SELECT 1 FROM judge_integrity_flags
+       WHERE judge_id = $1 AND session_id = $2 AND flag_type = $3 AND status = 'open'
+     )`,
+    [judgeId, sessionId, flagType, JSON.stringify(details || {})]
+  );
+}
+
+// Does this user hold (or have held) a trade on the session?
+async function hasTradeOnSession(db, userId, userType, sessionId) {
+  const result = await db.query(
+    `SELECT COUNT(*) as cnt FROM trades
+     WHERE session_id = $1 AND user_id = $2 AND user_type = $3`,
+    [sessionId, userId, userType]
+  );
+  return parseInt(result.rows[0].cnt) > 0;
+}
+
+function createRatingGuard(pool) {
+  // key `${judgeId}:${sessionId}` -> { times, rejections, swings, lastRating }
+  const state = new Map();
+
+  function entryFor(key) {
+    if (!state.has(key)) state.set(key, { times: [], rejections: [], swings: [], lastRating: null });
+    return state.get(key);
+  }
+
+  function prune(list, now) {
+    while (list.length > 0 && now - list[0] > WINDOW_MS) list.shift();
+  }
+
+  // Forget judges that have gone quiet so the map doesn't grow forever
+  function sweep(now) {
+    for (const [key, entry] of state) {
+      const lastSeen = Math.max(entry.times[entry.times.length - 1] || 0, entry.rejections[entry.rejections.length - 1] || 0);
+      if (now - lastSeen > 10 * WINDOW_MS) state.delete(key);
+    }
+  }
+
+  // Returns { ok: true } or { ok: false, reason } for a rating about to be stored.
+  // joinedAt is when the judge's socket joined the session room (ms).
+  async function check({ judgeId, sessionId, userId, userType, rating, joinedAt, sessionStart }) {
+    const now = Date.now();
+    if (state.size > 500) sweep(now);
+    const key = `${judgeId}:${sessionId}`;
+    const entry = entryFor(key);
+    prune(entry.times, now);
+    prune(entry.rejections, now);
+    prune(entry.swings, now);
+
+    const reject = async (reason) => {
+      entry.rejections.push(now);
+      if (entry.rejections.length === FLOOD_REJECTIONS) {
+        await recordFlag(pool, judgeId, sessionId, 'rate_limit', { rejections_per_minute: entry.rejections.length });
+      }
+      return { ok: false, reason };
+    };
+
+    const last = entry.times[entry.times.length - 1];
+    if (last && now - last < MIN_RATING_INTERVAL_MS) return reject('too_fast');
+    if (entry.times.length >= MAX_RATINGS_PER_MINUTE) return reject('rate_limited');
+
+    // Count this rating before the first await so concurrent submissions
+    // see it; it is taken back out if a later check rejects it
+    entry.times.push(now);
+    const release = (verdict) => {
+      const i = entry.times.lastIndexOf(now);
+      if (i !== -1) entry.times.splice(i, 1);
+      return verdict;
+    };
+
+    // Listening clock starts at whichever is later: session start or joining it
+    const listenStart = Math.max(joinedAt || now, sessionStart ? new Date(sessionStart).getTime() : 0);
+    if (now - listenStart < MIN_LISTEN_SECONDS * 1000) {
+      return release({ ok: false, reason: 'min_listen_time', retryAfterSeconds: Math.ceil((listenStart + MIN_LISTEN_SECONDS * 1000 - now) / 1000) });
+    }
+
+    try {
+      if (await hasTradeOnSession(pool, userId, userType, sessionId)) {
+        await recordFlag(pool, judgeId, sessionId, 'trade_conflict', { policy: CONFLICT_POLICY });
+        if (CONFLICT_POLICY === 'block') return release({ ok: false, reason: 'trade_conflict' });
+      }
+    } catch (err) {
+      release();
+      throw err;
+    }
+
+    if (entry.lastRating !== null && Math.abs(rating - entry.lastRating) >= WHIPSAW_DELTA) {
+      entry.swings.push(now);
+      if (entry.swings.length >= WHIPSAW_SWINGS) {
+        await recordFlag(pool, judgeId, sessionId, 'whipsaw', {
+          swings_per_minute: entry.swings.length,
+          last_rating: entry.lastRating,
+          new_rating: rating
+        });
+      }
+    }
+
+    entry.lastRating = rating;
+    return { ok: true };
+  }
+
+  return { check };
+}
+
+module.exports = { CONFLICT_POLICY, recordFlag, hasTradeOnSession, createRatingGuard };
@@ -0,0 +1,279 @@
+const { httpError } = require('./errors');
+const { compute } = require('./consensus');
+
+// Session replay for post-mortems and disputes.
+// buildReplay() reconstructs a finished session from its snapshots and
+// trades: the consensus curve sampled every `resolution` seconds (with the
+// session's own consensus algorithm and the judge weights it ended with),
+// each judge's rating timeline under an anonymous label, trade entries and
+// the session's state transitions.
+// createReplayStream() plays that back as timed socket events at an
+// adjustable speed, with pause, resume and seek.
+
+const DEFAULT_RESOLUTION_SECONDS = 5;
+const MAX_CURVE_POINTS = 2000;
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 64;
+const REPLAYABLE_STATUSES = ['completed', 'voided', 'cancelled'];
+// Calling a session off voids its ratings; its replay still shows them
+const CALLED_OFF_STATUSES = ['voided', 'cancelled'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function clampSpeed(speed) {
+  const value = parseFloat(speed);
+  if (isNaN(value)) return 1;
+  return Math.max(MIN_SPEED, Math.min(MAX_SPEED, value));
+}
+
+function offsetOf(time, start) {
+  return round2((new Date(time).getTime() - start) / 1000);
+}
+
+// State transitions recorded on the session row, in time order
+function sessionTransitions(session) {
+  const transitions = [
+    { state: 'scheduled', at: session.created_at },
+    { state: 'live', at: session.actual_start },
+    { state: 'trading_closed', at: session.trading_closed_at || session.trading_window_end },
+    { state: session.status, at: session.end_time }
+  ];
+  return transitions
+    .filter(t => t.at)
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+async function buildReplay(db, sessionId, resolutionSeconds) {
+  const sessionResult = await db.query(
+    `SELECT js.*, s.title as song_title, s.artist as song_artist
+     FROM judging_sessions js
+     JOIN songs s ON js.song_id = s.id
+     WHERE js.id = $1`,
+    [sessionId]
+  );
+  if (sessionResult.rows.length === 0) throw httpError(404, 'Session not found');
+  const session = sessionResult.rows[0];
+  if (!REPLAYABLE_STATUSES.includes(session.status)) {
+    throw httpError(400, 'Replay is available once the session has ended');
+  }
+
+  const snapshots = await db.query(
+    `SELECT judge_id, rating, timestamp
+     FROM judge_rating_snapshots
+     WHERE session_id = $1 AND (NOT voided OR $2)
+     ORDER BY timestamp ASC`,
+    [sessionId, CALLED_OFF_STATUSES.includes(session.status)]
+  );
+
+  // Weights recorded when the session ended. Sessions that ended before they
+  // were recorded fall back to the judge's accuracy history as of the end,
+  // and to the current tier and status, which have no history.
+  const weights = await db.query(
+    `SELECT j.id as judge_id,
+            CASE WHEN w.judge_id IS NOT NULL THEN w.accuracy_score ELSE COALESCE(h.accuracy_after, j.accuracy_score) END as accuracy_score,
+            CASE WHEN w.judge_id IS NOT NULL THEN w.sessions_judged ELSE COALESCE(h.scored, 0) END as sessions_judged,
+            COALESCE(w.status, j.status) as status,
+            COALESCE(w.tier, j.tier) as tier
+     FROM judges j
+     LEFT JOIN session_judge_weights w ON w.session_id = $1 AND w.judge_id = j.id
+     LEFT JOIN LATERAL (
+       SELECT accuracy_after, COUNT(*) OVER () as scored
+       FROM judge_accuracy_history
+       WHERE judge_id = j.id AND created_at < COALESCE($2::timestamp, NOW())
+       ORDER BY created_at DESC
+       LIMIT 1
+     ) h ON true
+     WHERE j.id IN (SELECT judge_id FROM judge_rating_snapshots WHERE session_id = $1)`,
+    [sessionId, session.end_time]
+  );
+  const weightByJudge = new Map(weights.rows.map(w => [w.judge_id, w]));
+
+  const trades = await db.query(
+    `SELECT direction, amount, entry_sentiment, status, outcome, created_at, closed_at
+     FROM trades
+     WHERE session_id = $1
+     ORDER BY created_at ASC`,
+    [sessionId]
+  );
+
+  const rows = snapshots.rows.map(row => ({ ...weightByJudge.get(row.judge_id), ...row }));
+  const start = new Date(session.actual_start || rows[0]?.timestamp || session.created_at).getTime();
+  const lastSnapshot = rows.length > 0 ? new Date(rows[rows.length - 1].timestamp).getTime() : start;
+  const end = Math.max(session.end_time ? new Date(session.end_time).getTime() : lastSnapshot, lastSnapshot);
+  const duration = Math.max(0, (end - start) / 1000);
+
+  // Widen the step for long sessions so the curve stays a sensible size
+  let resolution = parseFloat(resolutionSeconds) || DEFAULT_RESOLUTION_SECONDS;
+  resolution = Math.max(1, resolution, Math.ceil(duration / MAX_CURVE_POINTS));
+
+  // Judges are labelled in the order they first rated
+  const timelines = new Map();
+  for (const row of rows) {
+    if (!timelines.has(row.judge_id)) {
+      timelines.set(row.judge_id, { label: `Judge ${timelines.size + 1}`, ratings: [] });
+    }
+    timelines.get(row.judge_id).ratings.push({
+      at: row.timestamp,
+      offsetSeconds: offsetOf(row.timestamp, start),
+      rating: row.rating
+    });
+  }
+  const judges = [...timelines.values()];
+
+  // Walk the snapshots once, sampling each judge's latest rating at every step
+  const latest = new Map();
+  const consensus = [];
+  let i = 0;
+  for (let t = 0; t <= duration + resolution; t += resolution) {
+    const cutoff = start + t * 1000;
+    while (i < rows.length && new Date(rows[i].timestamp).getTime() <= cutoff) {
+      latest.set(rows[i].judge_id, rows[i]);
+      i++;
+    }
+    const value = compute(session.consensus_algorithm, [...latest.values()]);
+    consensus.push({
+      at: new Date(cutoff).toISOString(),
+      offsetSeconds: round2(t),
+      consensus: value === null ? null : round2(value),
+      judgeCount: latest.size
+    });
+    if (t >= duration) break;
+  }
+
+  return {
+    session: {
+      id: session.id,
+      title: session.title,
+      song_title: session.song_title,
+      song_artist: session.song_artist,
+      status: session.status,
+      market_mode: session.market_mode,
+      consensus_algorithm: session.consensus_algorithm,
+      final_consensus: session.final_consensus,
+      started_at: new Date(start).toISOString(),
+      duration_seconds: round2(duration)
+    },
+    resolution_seconds: resolution,
+    consensus,
+    judges,
+    trades: trades.rows.map(t => ({
+      direction: t.direction,
+      amount: parseFloat(t.amount),
+      entry_sentiment: parseFloat(t.entry_sentiment),
+      status: t.status,
+      outcome: t.outcome,
+      at: t.created_at,
+      offsetSeconds: offsetOf(t.created_at, start),
+      closed_at: t.closed_at
+    })),
+    transitions: sessionTransitions(session).map(t => ({ ...t, offsetSeconds: offsetOf(t.at, start) }))
+  };
+}
+
+// Flatten a replay into one time-ordered list of frames
+function replayFrames(replay) {
+  const frames = [];
+  for (const point of replay.consensus) frames.push({ type: 'consensus', offsetSeconds: point.offsetSeconds, data: point });
+  for (const judge of replay.judges) {
+    for (const r of judge.ratings) {
+      frames.push({ type: 'rating', offsetSeconds: r.offsetSeconds, data: { judge: judge.label, rating: r.rating } });
+    }
+  }
+  for (const trade of replay.trades) frames.push({ type: 'trade', offsetSeconds: trade.offsetSeconds, data: trade });
+  for (const t of replay.transitions) frames.push({ type: 'transition', offsetSeconds: t.offsetSeconds, data: t });
+  return frames.sort((a, b) => a.offsetSeconds - b.offsetSeconds);
+}
+
+// Play a replay back through emit(event, payload). Frames are sent when the
+// playback clock reaches them; speed scales that clock.
+function createReplayStream(replay, emit, { speed = 1 } = {}) {
+  const sessionId = replay.session.id;
+  const frames = replayFrames(replay);
+  let index = 0;
+  let position = frames.length > 0 ? Math.min(0, frames[0].offsetSeconds) : 0;
+  let currentSpeed = clampSpeed(speed);
+  let timer = null;
+  let timerStartedAt = null;
+  let playing = false;
+
+  // Move the playback clock on by the wall-clock time spent waiting for the
+  // next frame at the current speed, so a speed change or pause mid-wait
+  // carries on from where playback had got to
+  function advanceClock() {
+    if (timer && timerStartedAt !== null) {
+      const elapsed = (Date.now() - timerStartedAt) / 1000;
+      const next = frames[index] ? frames[index].offsetSeconds : position;
+      position = Math.min(next, position + elapsed * currentSpeed);
+      timerStartedAt = Date.now();
+    }
+  }
+
+  function clearTimer() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function scheduleNext() {
+    clearTimer();
+    if (!playing) return;
+    if (index >= frames.length) {
+      playing = false;
+      emit('replay-end', { sessionId });
+      return;
+    }
+    const next = frames[index].offsetSeconds;
+    const delay = Math.max(0, (next - position) * 1000 / currentSpeed);
+    timerStartedAt = Date.now();
+    timer = setTimeout(() => {
+      timer = null;
+      position = next;
+      while (index < frames.length && frames[index].offsetSeconds <= position) {
+        emit('replay-frame', { sessionId, ...frames[index] });
+        index++;
+      }
+      scheduleNext();
+    }, delay);
+  }
+
+  function play() {
+    playing = true;
+    scheduleNext();
+  }
+
+  function pause() {
+    advanceClock();
+    playing = false;
+    clearTimer();
+  }
+
+  function setSpeed(value) {
+    advanceClock();
+    currentSpeed = clampSpeed(value);
+    if (playing) scheduleNext();
+    return currentSpeed;
+  }
+
+  // Jump to an offset and report the consensus there, so a scrubber can redraw
+  function seek(offsetSeconds) {
+    const target = Math.max(0, Math.min(parseFloat(offsetSeconds) || 0, replay.session.duration_seconds));
+    index = frames.findIndex(f => f.offsetSeconds >= target);
+    if (index === -1) index = frames.length;
+    position = target;
+    const point = [...replay.consensus].reverse().find(p => p.offsetSeconds <= target) || replay.consensus[0] || null;
+    emit('replay-position', { sessionId, offsetSeconds: target, consensus: point });
+    if (playing) scheduleNext();
+  }
+
+  return {
+    play,
+    pause,
+    seek,
+    setSpeed,
+    stop: pause,
+    get speed() { return currentSpeed; }
+  };
+}
+
+module.exports = { DEFAULT_RESOLUTION_SECONDS, MIN_SPEED, MAX_SPEED, buildReplay, createReplayStream };
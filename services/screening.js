@@ -0,0 +1,235 @@
+const { withTransaction } = require('./transaction');
+const { httpError } = require('./errors');
+const { notifyApplicationResult } = require('./notifications');
+
+// Judge screening test.
+// Anchors are served one at a time and recorded in screening_items, so the
+// submit handler only scores anchors this application was actually served,
+// in order, and only after the applicant has had the anchor for
+// SCREENING_MIN_LISTEN_SECONDS. The test adapts as it goes: it starts at
+// medium difficulty, steps up after an answer within the anchor's tolerance
+// and down after a miss, and spreads items across genres. Anchors the
+// applicant saw on earlier attempts are used last.
+
+const TEST_LENGTH = 5;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DIFFICULTY_WEIGHTS = { easy: 1, medium: 1.5, hard: 2 };
+const MIN_LISTEN_SECONDS = process.env.SCREENING_MIN_LISTEN_SECONDS !== undefined
+  ? parseInt(process.env.SCREENING_MIN_LISTEN_SECONDS) || 0
+  : 30;
+const PASS_SCORE = 60;
+const MAX_AVG_DEVIATION = 15;
+const RETRY_COOLDOWN_DAYS = 7;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Difficulty for the next item given the last answer
+function nextDifficulty(lastItem) {
+  if (!lastItem) return 'medium';
+  const i = DIFFICULTIES.indexOf(lastItem.difficulty);
+  const step = lastItem.within_tolerance ? 1 : -1;
+  return DIFFICULTIES[Math.max(0, Math.min(DIFFICULTIES.length - 1, (i === -1 ? 1 : i) + step))];
+}
+
+// Pick the next anchor: closest difficulty to the target, then a genre not
+// yet in this test, then one the applicant hasn't seen before, then random.
+function pickAnchor(anchors, items, seenBefore, targetDifficulty) {
+  const served = new Set(items.map(i => i.anchor_id));
+  const genreCounts = {};
+  for (const item of items) genreCounts[item.genre] = (genreCounts[item.genre] || 0) + 1;
+  const target = DIFFICULTIES.indexOf(targetDifficulty);
+
+  const ranked = anchors
+    .filter(a => !served.has(a.id))
+    .map(a => ({
+      anchor: a,
+      key: [
+        Math.abs((DIFFICULTIES.indexOf(a.difficulty) === -1 ? 1 : DIFFICULTIES.indexOf(a.difficulty)) - target),
+        genreCounts[a.genre] || 0,
+        seenBefore.has(a.id) ? 1 : 0,
+        Math.random()
+      ]
+    }))
+    .sort((x, y) => {
+      for (let i = 0; i < x.key.length; i++) {
+        if (x.key[i] !== y.key[i]) return x.key[i] - y.key[i];
+      }
+      return 0;
+    });
+
+  return ranked.length > 0 ? ranked[0].anchor : null;
+}
+
+// Tolerance-adjusted item score: full marks within tolerance, then 2 points
+// off per point of deviation beyond it
+function itemScore(deviation, tolerance) {
+  return Math.max(0, 100 - Math.max(0, deviation - tolerance) * 2);
+}
+
+async function lockApplication(client, applicationId, userId, userType) {
+  const result = await client.query(
+    `SELECT id, user_id, user_type, status FROM judge_applications
+     WHERE id = $1 AND user_id = $2 AND user_type = $3
+     FOR UPDATE`,
+    [applicationId, userId, userType]
+  );
+  if (result.rows.length === 0) throw httpError(404, 'Application not found');
+  if (result.rows[0].status !== 'screening') throw httpError(400, 'Application is not in screening phase');
+  return result.rows[0];
+}
+
+async function getItems(client, applicationId) {
+  const result = await client.query(
+    `SELECT i.*, a.genre, a.correct_rating, a.tolerance
+     FROM screening_items i
+     JOIN anchor_songs a ON a.id = i.anchor_id
+     WHERE i.application_id = $1
+     ORDER BY i.position ASC`,
+    [applicationId]
+  );
+  return result.rows;
+}
+
+async function describeItem(client, item) {
+  const song = await client.query(
+    `SELECT a.id, a.genre, a.difficulty, s.title, s.artist, s.audio_url, s.artwork_url
+     FROM anchor_songs a
+     JOIN songs s ON a.song_id = s.id
+     WHERE a.id = $1`,
+    [item.anchor_id]
+  );
+  return {
+    ...song.rows[0],
+    position: item.position,
+    served_at: item.served_at,
+    min_listen_seconds: MIN_LISTEN_SECONDS
+  };
+}
+
+// Current unanswered item for an application, serving the next one if needed
+async function serveNextItem(pool, applicationId, userId, userType) {
+  return withTransaction(pool, async (client) => {
+    await lockApplication(client, applicationId, userId, userType);
+    const items = await getItems(client, applicationId);
+    const progress = { answered: items.filter(i => i.answered_at).length, total: TEST_LENGTH };
+
+    const pending = items.find(i => !i.answered_at);
+    if (pending) return { song: await describeItem(client, pending), progress };
+    if (items.length >= TEST_LENGTH) return { song: null, progress };
+
+    const anchors = await client.query(
+      `SELECT a.id, a.genre, a.difficulty FROM anchor_songs a
+       JOIN songs s ON a.song_id = s.id
+       WHERE a.active = true`
+    );
+    if (anchors.rows.length < TEST_LENGTH) {
+      throw httpError(503, 'Not enough anchor songs configured. Please try again later.');
+    }
+
+    const previous = await client.query(
+      `SELECT DISTINCT i.anchor_id
+       FROM screening_items i
+       JOIN judge_applications ja ON ja.id = i.application_id
+       WHERE ja.user_id = $1 AND ja.user_type = $2 AND ja.id <> $3`,
+      [userId, userType, applicationId]
+    );
+    const seenBefore = new Set(previous.rows.map(r => r.anchor_id));
+
+    const anchor = pickAnchor(anchors.rows, items, seenBefore, nextDifficulty(items[items.length - 1]));
+    const inserted = await client.query(
+      `INSERT INTO screening_items (application_id, anchor_id, position, difficulty)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [applicationId, anchor.id, items.length + 1, anchor.difficulty]
+    );
+
+    return { song: await describeItem(client, inserted.rows[0]), progress };
+  });
+}
+
+// Score a finished test and approve or reject the application
+async function finishScreening(client, application, items) {
+  let weighted = 0;
+  let weights = 0;
+  let totalDeviation = 0;
+  for (const item of items) {
+    const w = DIFFICULTY_WEIGHTS[item.difficulty] || 1;
+    weighted += itemScore(parseFloat(item.deviation), item.tolerance ?? 10) * w;
+    weights += w;
+    totalDeviation += parseFloat(item.deviation);
+  }
+  const score = round2(weighted / weights);
+  const avgDeviation = round2(totalDeviation / items.length);
+  const passed = score >= PASS_SCORE && avgDeviation <= MAX_AVG_DEVIATION;
+
+  if (passed) {
+    await client.query(
+      `INSERT INTO judges (user_id, user_type, status, tier) VALUES ($1, $2, 'probation', 'bronze')
+       ON CONFLICT (user_id, user_type) DO UPDATE SET status = 'probation',
+         probation_sessions_start = judges.sessions_judged, updated_at = NOW()`,
+      [application.user_id, application.user_type]
+    );
+    await client.query(
+      `UPDATE judge_applications SET status = 'approved', screening_score = $1, screening_deviation = $2, reviewed_at = NOW()
+       WHERE id = $3`,
+      [score, avgDeviation, application.id]
+    );
+    await notifyApplicationResult(client, application, { passed: true, score });
+    return { complete: true, passed: true, score, avgDeviation };
+  }
+
+  const nextAttempt = new Date(Date.now() + RETRY_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+  await client.query(
+    `UPDATE judge_applications SET status = 'rejected', screening_score = $1, screening_deviation = $2,
+     rejection_reason = 'Screening score below threshold', next_attempt_date = $3, reviewed_at = NOW()
+     WHERE id = $4`,
+    [score, avgDeviation, nextAttempt, application.id]
+  );
+  await notifyApplicationResult(client, application, { passed: false, score, nextAttemptDate: nextAttempt });
+  return { complete: true, passed: false, score, avgDeviation, next_attempt_date: nextAttempt };
+}
+
+// Record the answer to the currently served anchor. Finishes the test after
+// the last item; otherwise the client fetches the next one.
+async function submitAnswer(pool, applicationId, userId, userType, anchorId, rating) {
+  const value = parseInt(rating);
+  if (!anchorId || isNaN(value) || value < 0 || value > 100) {
+    throw httpError(400, 'anchorId and a rating between 0 and 100 are required');
+  }
+
+  return withTransaction(pool, async (client) => {
+    const application = await lockApplication(client, applicationId, userId, userType);
+    const items = await getItems(client, applicationId);
+
+    const pending = items.find(i => !i.answered_at);
+    if (!pending || pending.anchor_id !== anchorId) {
+      throw httpError(400, 'That anchor is not the current screening item');
+    }
+
+    const listened = (Date.now() - new Date(pending.served_at).getTime()) / 1000;
+    if (listened < MIN_LISTEN_SECONDS) {
+      const err = httpError(400, `Listen for at least ${MIN_LISTEN_SECONDS} seconds before rating`);
+      err.retryAfterSeconds = Math.ceil(MIN_LISTEN_SECONDS - listened);
+      throw err;
+    }
+
+    const deviation = Math.abs(value - pending.correct_rating);
+    const withinTolerance = deviation <= (pending.tolerance ?? 10);
+    await client.query(
+      `UPDATE screening_items SET rating = $1, deviation = $2, within_tolerance = $3, answered_at = NOW()
+       WHERE id = $4`,
+      [value, deviation, withinTolerance, pending.id]
+    );
+    Object.assign(pending, { rating: value, deviation, within_tolerance: withinTolerance, answered_at: new Date() });
+
+    const answered = items.filter(i => i.answered_at).length;
+    if (answered < TEST_LENGTH) {
+      return { complete: false, progress: { answered, total: TEST_LENGTH } };
+    }
+    return finishScreening(client, application, items);
+  });
+}
+
+module.exports = { TEST_LENGTH, MIN_LISTEN_SECONDS, serveNextItem, submitAnswer };
@@ -0,0 +1,258 @@
+const { withTransaction } = require('./transaction');
+const { httpError } = require('./errors');
+const { STARTING_BALANCE, postEntry } = require('./ledger');
+const { notify } = require('./notifications');
+
+// Competitive trading seasons.
+// A season runs from when it is opened until it is closed, either by an
+// admin or by the session scheduler at starts_at / ends_at. Opening a season
+// either resets every trader to the season's starting balance through the
+// ledger ('reset') or just records their balances ('snapshot'); either way
+// the opening balances are kept in season_standings. Season rankings are by
+// profit on trades settled during the season; in a 'reset' season only trades
+// placed after the reset count, since older stakes came out of the balance
+// the reset replaced. Closing a season archives the
+// final standings and awards badges to the top finishers. Only one season
+// can be active at a time.
+
+const RESET_MODES = ['reset', 'snapshot'];
+const BADGES = [
+  { badge: 'champion', maxRank: 1 },
+  { badge: 'runner_up', maxRank: 2 },
+  { badge: 'third_place', maxRank: 3 },
+  { badge: 'top_10', maxRank: 10 }
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function badgeFor(rank) {
+  const entry = BADGES.find(b => rank <= b.maxRank);
+  return entry ? entry.badge : null;
+}
+
+async function createSeason(pool, { name, startsAt, endsAt, resetMode, startingBalance }) {
+  if (!name) throw httpError(400, 'name is required');
+  const mode = resetMode || 'snapshot';
+  if (!RESET_MODES.includes(mode)) throw httpError(400, 'reset_mode must be "reset" or "snapshot"');
+  const start = startsAt ? new Date(startsAt) : null;
+  const end = endsAt ? new Date(endsAt) : null;
+  if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+    throw httpError(400, 'starts_at and ends_at must be valid dates');
+  }
+  if (start && end && start >= end) throw httpError(400, 'starts_at must be before ends_at');
+  const balance = startingBalance !== undefined ? parseFloat(startingBalance) : STARTING_BALANCE;
+  if (isNaN(balance) || balance < 0) throw httpError(400, 'starting_balance must be a positive number');
+
+  const result = await pool.query(
+    `INSERT INTO seasons (name, starts_at, ends_at, reset_mode, starting_balance)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [name, start, end, mode, balance]
+  );
+  return result.rows[0];
+}
+
+async function getActiveSeason(db) {
+  const result = await db.query(`SELECT * FROM seasons WHERE status = 'active' LIMIT 1`);
+  return result.rows[0] || null;
+}
+
+// Profit on the season's trades, per trader, best first
+async function liveStandings(db, season, limit) {
+  const result = await db.query(
+    `SELECT tr.id as trader_id, tr.user_id, tr.user_type, tr.play_money_balance,
+            ss.opening_balance,
+            COUNT(t.id) as trades,
+            COUNT(t.id) FILTER (WHERE t.outcome = 'win') as wins,
+            COALESCE(SUM(COALESCE(t.payout, 0) - t.amount), 0) as profit
+     FROM traders tr
+     JOIN trades t ON t.trader_id = tr.id AND t.status IN ('settled', 'closed')
+       AND (CASE WHEN $5::text = 'reset' THEN t.created_at ELSE t.settled_at END) >= $2
+       AND ($3::timestamp IS NULL OR t.settled_at <= $3)
+     LEFT JOIN season_standings ss ON ss.season_id = $1 AND ss.trader_id = tr.id
+     GROUP BY tr.id, ss.opening_balance
+     ORDER BY profit DESC, trades ASC
+     LIMIT $4`,
+    [season.id, season.opened_at, season.closed_at, limit || 50, season.reset_mode]
+  );
+  return result.rows.map((row, i) => ({ ...row, rank: i + 1 }));
+}
+
+// Open a season: reset or snapshot every trader's balance
+async function openSeason(pool, io, seasonId) {
+  const season = await withTransaction(pool, async (client) => {
+    const result = await client.query('SELECT * FROM seasons WHERE id = $1 FOR UPDATE', [seasonId]);
+    if (result.rows.length === 0) throw httpError(404, 'Season not found');
+    if (result.rows[0].status !== 'scheduled') throw httpError(400, `Season is already ${result.rows[0].status}`);
+
+    const active = await client.query(`SELECT id FROM seasons WHERE status = 'active' FOR UPDATE`);
+    if (active.rows.length > 0) throw httpError(400, 'Close the current season first');
+
+    const season = result.rows[0];
+    const startingBalance = parseFloat(season.starting_balance);
+    const traders = await client.query('SELECT id, user_id, user_type, play_money_balance FROM traders ORDER BY id FOR UPDATE');
+    for (const trader of traders.rows) {
+      let opening = parseFloat(trader.play_money_balance);
+      if (season.reset_mode === 'reset') {
+        const adjustment = round2(startingBalance - opening);
+        if (adjustment !== 0) {
+          await postEntry(client, {
+            traderId: trader.id,
+            type: 'season_reset',
+            amount: adjustment,
+            memo: `Balance reset for ${season.name}`
+          });
+        }
+        opening = startingBalance;
+      }
+      await client.query(
+        `INSERT INTO season_standings (season_id, trader_id, user_id, user_type, opening_balance)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (season_id, trader_id) DO NOTHING`,
+        [season.id, trader.id, trader.user_id, trader.user_type, opening]
+      );
+    }
+
+    const opened = await client.query(
+      `UPDATE seasons SET status = 'active', opened_at = NOW(), starts_at = COALESCE(starts_at, NOW())
+       WHERE id = $1 RETURNING *`,
+      [season.id]
+    );
+    return opened.rows[0];
+  });
+
+  if (io) io.of('/judging').emit('season-opened', { seasonId: season.id, name: season.name, endsAt: season.ends_at });
+  return season;
+}
+
+// Close the active season: archive standings and award badges
+async function closeSeason(pool, io, seasonId) {
+  const outcome = await withTransaction(pool, async (client) => {
+    const result = await client.query('SELECT * FROM seasons WHERE id = $1 FOR UPDATE', [seasonId]);
+    if (result.rows.length === 0) throw httpError(404, 'Season not found');
+    if (result.rows[0].status !== 'active') throw httpError(400, 'Only the active season can be closed');
+
+    const closed = await client.query(
+      `UPDATE seasons SET status = 'closed', closed_at = NOW(), ends_at = COALESCE(ends_at, NOW())
+       WHERE id = $1 RETURNING *`,
+      [seasonId]
+    );
+    const season = closed.rows[0];
+    const standings = await liveStandings(client, season, 1000);
+
+    const badges = [];
+    for (const row of standings) {
+      const badge = badgeFor(row.rank);
+      await client.query(
+        `INSERT INTO season_standings (season_id, trader_id, user_id, user_type, opening_balance,
+                                       closing_balance, trades, wins, profit, rank, badge)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (season_id, trader_id) DO UPDATE SET
+           closing_balance = EXCLUDED.closing_balance, trades = EXCLUDED.trades, wins = EXCLUDED.wins,
+           profit = EXCLUDED.profit, rank = EXCLUDED.rank, badge = EXCLUDED.badge`,
+        [season.id, row.trader_id, row.user_id, row.user_type, row.opening_balance ?? STARTING_BALANCE,
+         row.play_money_balance, parseInt(row.trades), parseInt(row.wins), round2(parseFloat(row.profit)),
+         row.rank, badge]
+      );
+      if (!badge) continue;
+
+      await client.query(
+        `INSERT INTO trader_badges (trader_id, user_id, user_type, season_id, badge, rank)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (trader_id, season_id) DO NOTHING`,
+        [row.trader_id, row.user_id, row.user_type, season.id, badge, row.rank]
+      );
+      await notify(client, {
+        userId: row.user_id,
+        userType: row.user_type,
+        type: 'season_badge',
+        title: `${season.name}: #${row.rank}`,
+        message: `You finished #${row.rank} in ${season.name} with a profit of ${round2(parseFloat(row.profit))}.`,
+        data: { link: '/trader-dashboard.html', season_id: season.id, badge, rank: row.rank }
+      });
+      badges.push({ traderId: row.trader_id, userId: row.user_id, userType: row.user_type, badge, rank: row.rank });
+    }
+
+    return { season, ranked: standings.length, badges };
+  });
+
+  if (io) {
+    io.of('/judging').emit('season-closed', {
+      seasonId: outcome.season.id,
+      name: outcome.season.name,
+      ranked: outcome.ranked,
+      podium: outcome.badges.filter(b => b.rank <= 3).map(b => ({ rank: b.rank, badge: b.badge, userId: b.userId, userType: b.userType }))
+    });
+  }
+  return outcome;
+}
+
+// Standings for a season: archived once closed, computed live while active
+async function seasonStandings(db, seasonId, limit) {
+  const result = await db.query('SELECT * FROM seasons WHERE id = $1', [seasonId]);
+  if (result.rows.length === 0) throw httpError(404, 'Season not found');
+  const season = result.rows[0];
+
+  if (season.status === 'scheduled') return { season, standings: [] };
+  if (season.status === 'active') return { season, standings: await liveStandings(db, season, limit) };
+
+  const archived = await db.query(
+    `SELECT trader_id, user_id, user_type, opening_balance, closing_balance, trades, wins, profit, rank, badge
+     FROM season_standings
+     WHERE season_id = $1 AND rank IS NOT NULL
+     ORDER BY rank ASC
+     LIMIT $2`,
+    [seasonId, limit || 50]
+  );
+  return { season, standings: archived.rows };
+}
+
+// Open seasons whose start has come and close those past their end (for the
+// scheduler). One season failing doesn't hold up the others.
+async function rollSeasons(pool, io) {
+  const due = await pool.query(
+    `SELECT id, status FROM seasons
+     WHERE (status = 'active' AND ends_at IS NOT NULL AND ends_at <= NOW())
+        OR (status = 'scheduled' AND starts_at IS NOT NULL AND starts_at <= NOW()
+            AND (ends_at IS NULL OR ends_at > NOW()))
+     ORDER BY (status = 'active') DESC, starts_at ASC`
+  );
+  for (const row of due.rows) {
+    try {
+      if (row.status === 'active') {
+        await closeSeason(pool, io, row.id);
+        console.log(`Scheduler: closed season ${row.id}`);
+      } else if (!(await getActiveSeason(pool))) {
+        await openSeason(pool, io, row.id);
+        console.log(`Scheduler: opened season ${row.id}`);
+      }
+    } catch (err) {
+      console.error(`Scheduler: failed to roll season ${row.id}:`, err);
+    }
+  }
+}
+
+async function traderBadges(db, traderId) {
+  const result = await db.query(
+    `SELECT b.badge, b.rank, b.awarded_at, s.id as season_id, s.name as season_name
+     FROM trader_badges b
+     JOIN seasons s ON s.id = b.season_id
+     WHERE b.trader_id = $1
+     ORDER BY b.awarded_at DESC`,
+    [traderId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  RESET_MODES,
+  createSeason,
+  getActiveSeason,
+  openSeason,
+  closeSeason,
+  seasonStandings,
+  rollSeasons,
+  traderBadges
+};
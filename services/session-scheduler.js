@@ -0,0 +1,181 @@
+const { startSession, closeTrading, settleSession } = require('./sessions');
+const { advanceEvents } = require('./events');
+const { rollSeasons } = require('./seasons');
+
+// Drives judging sessions through their lifecycle without an admin:
+//   - scheduled sessions go live at scheduled_start
+//   - live sessions close trading once trading_window_end has passed, with a
+//     trading-countdown broadcast every tick while the window is open
+//   - live sessions settle once judging_duration_minutes have elapsed
+//   - multi-song events advance as their sessions finish
+//   - trading seasons open at starts_at and close at ends_at
+// All state lives in judging_sessions, so every tick simply asks the database
+// what is due. After a restart the first tick catches up on anything missed.
+// A session that fails is logged and retried without holding up the others,
+// backing off BASE * 2^(failures - 1) seconds (capped) between attempts.
+// After SESSION_SCHEDULER_MAX_FAILURES in a row it is flagged and left for
+// an admin, who can retry it from the console; a success clears the count.
+
+const DEFAULT_INTERVAL_MS = 5000;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+
+function envNumber(name, fallback) {
+  return process.env[name] !== undefined ? parseFloat(process.env[name]) || 0 : fallback;
+}
+
+const MAX_FAILURES = envNumber('SESSION_SCHEDULER_MAX_FAILURES', 5);
+const BACKOFF_BASE_SECONDS = envNumber('SESSION_SCHEDULER_BACKOFF_BASE_SECONDS', 30);
+
+// Sessions the scheduler may touch this tick
+const RETRY_DUE = `scheduler_flagged_at IS NULL AND (scheduler_retry_at IS NULL OR scheduler_retry_at <= NOW())`;
+
+module.exports = function(io, pool) {
+  // SESSION_SCHEDULER_INTERVAL_MS=0 disables the scheduler entirely
+  const intervalMs = process.env.SESSION_SCHEDULER_INTERVAL_MS !== undefined
+    ? parseInt(process.env.SESSION_SCHEDULER_INTERVAL_MS) || 0
+    : DEFAULT_INTERVAL_MS;
+  const defaultTradingWindow = parseInt(process.env.DEFAULT_TRADING_WINDOW_MINUTES) || null;
+  const defaultJudgingDuration = parseInt(process.env.DEFAULT_JUDGING_DURATION_MINUTES) || 30;
+
+  let timer = null;
+  let running = false;
+
+  async function recordFailure(sessionId, action, err) {
+    console.error(`Scheduler: failed to ${action} session ${sessionId}:`, err);
+    try {
+      const result = await pool.query(
+        `UPDATE judging_sessions SET
+           scheduler_failures = scheduler_failures + 1,
+           scheduler_last_error = $2,
+           scheduler_failed_at = NOW(),
+           scheduler_retry_at = NOW() + make_interval(secs => LEAST($3::float * power(2, scheduler_failures), $4::float)),
+           scheduler_flagged_at = CASE WHEN scheduler_failures + 1 >= $5 THEN NOW() END
+         WHERE id = $1
+         RETURNING scheduler_failures, scheduler_flagged_at`,
+        [sessionId, `Failed to ${action} the session: ${err.message}`, BACKOFF_BASE_SECONDS, BACKOFF_MAX_SECONDS, MAX_FAILURES]
+      );
+      const row = result.rows[0];
+      if (row && row.scheduler_flagged_at) {
+        console.error(`Scheduler: session ${sessionId} failed ${row.scheduler_failures} times in a row, flagged for an admin`);
+      }
+    } catch (recordErr) {
+      console.error(`Scheduler: failed to record the failure of session ${sessionId}:`, recordErr);
+    }
+  }
+
+  async function recordSuccess(sessionId) {
+    await pool.query(
+      `UPDATE judging_sessions SET scheduler_failures = 0, scheduler_last_error = NULL, scheduler_retry_at = NULL
+       WHERE id = $1 AND scheduler_failures > 0`,
+      [sessionId]
+    );
+  }
+
+  async function startDueSessions() {
+    const due = await pool.query(
+      `SELECT id, trading_window_minutes FROM judging_sessions
+       WHERE status = 'scheduled' AND scheduled_start IS NOT NULL AND scheduled_start <= NOW()
+         AND ${RETRY_DUE}
+       ORDER BY scheduled_start ASC`
+    );
+    for (const row of due.rows) {
+      try {
+        const session = await startSession(pool, io, row.id, row.trading_window_minutes ?? defaultTradingWindow);
+        if (session) console.log(`Scheduler: session ${row.id} is live`);
+        await recordSuccess(row.id);
+      } catch (err) {
+        await recordFailure(row.id, 'start', err);
+      }
+    }
+  }
+
+  async function closeDueTradingWindows() {
+    const due = await pool.query(
+      `SELECT id FROM judging_sessions
+       WHERE status = 'live' AND trading_closed_at IS NULL
+         AND trading_window_end IS NOT NULL AND trading_window_end <= NOW()
+         AND ${RETRY_DUE}`
+    );
+    for (const row of due.rows) {
+      try {
+        const session = await closeTrading(pool, io, row.id);
+        if (session) console.log(`Scheduler: trading closed for session ${row.id}`);
+        await recordSuccess(row.id);
+      } catch (err) {
+        await recordFailure(row.id, 'close trading for', err);
+      }
+    }
+  }
+
+  // Seconds left in each open trading window, for client countdowns
+  async function broadcastCountdowns() {
+    const open = await pool.query(
+      `SELECT id, trading_window_end, EXTRACT(EPOCH FROM (trading_window_end - NOW())) as seconds_remaining
+       FROM judging_sessions
+       WHERE status = 'live' AND trading_closed_at IS NULL
+         AND trading_window_end IS NOT NULL AND trading_window_end > NOW()`
+    );
+    for (const row of open.rows) {
+      io.of('/judging').to(`session:${row.id}`).emit('trading-countdown', {
+        sessionId: row.id,
+        tradingWindowEnd: row.trading_window_end,
+        secondsRemaining: Math.max(0, Math.floor(parseFloat(row.seconds_remaining)))
+      });
+    }
+  }
+
+  async function settleDueSessions() {
+    const due = await pool.query(
+      `SELECT id FROM judging_sessions
+       WHERE status = 'live' AND actual_start IS NOT NULL
+         AND COALESCE(judging_duration_minutes, $1) > 0
+         AND actual_start + make_interval(mins => COALESCE(judging_duration_minutes, $1)) <= NOW()
+         AND (trading_window_end IS NULL OR trading_window_end <= NOW())
+         AND ${RETRY_DUE}`,
+      [defaultJudgingDuration]
+    );
+    for (const row of due.rows) {
+      try {
+        // Safe to race an admin settle: the loser gets the recorded result back
+        const summary = await settleSession(pool, io, row.id);
+        if (!summary.alreadySettled) {
+          console.log(`Scheduler: settled session ${row.id} (consensus ${summary.finalConsensus}, ${summary.tradesSettled} trades)`);
+        }
+        await recordSuccess(row.id);
+      } catch (err) {
+        await recordFailure(row.id, 'settle', err);
+      }
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await startDueSessions();
+      await closeDueTradingWindows();
+      await broadcastCountdowns();
+      await settleDueSessions();
+      await advanceEvents(pool, io);
+      await rollSeasons(pool, io);
+    } catch (err) {
+      console.error('Session scheduler error:', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || intervalMs <= 0) return;
+    console.log(`Session scheduler running every ${intervalMs}ms`);
+    tick();
+    timer = setInterval(tick, intervalMs);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick };
+};
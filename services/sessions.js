@@ -0,0 +1,405 @@
+const { httpError } = require('./errors');
+const { userRoom } = require('../sockets/judging');
+const { updateJudgeAccuracy } = require('./judge-accuracy');
+const { withTransaction } = require('./transaction');
+const { applyTradeResult } = require('./trades');
+const { DEFAULT_HOUSE_RAKE, resolvePayouts } = require('./market');
+const { getConsensus, recordJudgeWeights } = require('./consensus');
+const { calibrateAnchors } = require('./anchor-calibration');
+const { evaluateJudges } = require('./judge-tiers');
+const { creditJudgeRewards } = require('./judge-rewards');
+const { advanceEvent, replaceEventSession } = require('./events');
+const { notifyRequestResult, requeueRequest } = require('./judging-requests');
+const { postEntry } = require('./ledger');
+const { notifyTradeSettled, notifySessionLive } = require('./notifications');
+
+// Judging session lifecycle transitions: scheduled -> live -> completed,
+// or scheduled -> cancelled and live -> voided when a session is called off.
+// Shared by the admin routes and the session scheduler so that every
+// transition updates the database and broadcasts on /judging the same way.
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Start a scheduled session. Returns null if the session was not in the
+// 'scheduled' state (already started by another caller or cancelled).
+async function startSession(db, io, sessionId, tradingWindowMinutes) {
+  const result = await db.query(
+    `UPDATE judging_sessions
+     SET status = 'live', actual_start = NOW(),
+         trading_window_end = CASE WHEN $1::int IS NULL THEN NULL
+                                   ELSE NOW() + make_interval(mins => $1::int) END
+     WHERE id = $2 AND status = 'scheduled'
+     RETURNING *`,
+    [tradingWindowMinutes || null, sessionId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const session = result.rows[0];
+  if (io) {
+    io.of('/judging').emit('session-started', {
+      sessionId: session.id,
+      title: session.title,
+      actualStart: session.actual_start,
+      tradingWindowEnd: session.trading_window_end
+    });
+  }
+  notifySessionLive(db, session).catch(err => console.error('Session live notification error:', err));
+  return session;
+}
+
+// Mark the trading window of a live session as closed. Returns null if it
+// was already closed.
+async function closeTrading(db, io, sessionId) {
+  const result = await db.query(
+    `UPDATE judging_sessions
+     SET trading_closed_at = NOW(), trading_window_end = COALESCE(trading_window_end, NOW())
+     WHERE id = $1 AND status = 'live' AND trading_closed_at IS NULL
+     RETURNING *`,
+    [sessionId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const session = result.rows[0];
+  if (io) {
+    io.of('/judging').to(`session:${sessionId}`).emit('trading-closed', {
+      sessionId,
+      closedAt: session.trading_closed_at
+    });
+  }
+  return session;
+}
+
+// Settle a session: finalize consensus, resolve every pending trade and
+// update judge counters, all in one transaction. The session row is locked
+// for the duration, and a session_settlements row is written alongside, so a
+// concurrent or repeated settle waits and then returns the recorded result
+// instead of paying out twice. Throws an error with a `status` for bad requests.
+async function settleSession(pool, io, sessionId) {
+  const summary = await withTransaction(pool, async (client) => {
+    const session = await client.query(
+      'SELECT id, title, status, market_mode, house_rake, consensus_algorithm, event_id FROM judging_sessions WHERE id = $1 FOR UPDATE',
+      [sessionId]
+    );
+    if (session.rows.length === 0) throw httpError(404, 'Session not found');
+
+    const existing = await client.query(
+      'SELECT * FROM session_settlements WHERE session_id = $1',
+      [sessionId]
+    );
+    if (existing.rows.length > 0) {
+      const row = existing.rows[0];
+      return {
+        sessionId,
+        finalConsensus: round2(parseFloat(row.final_consensus)),
+        judgeCount: row.judge_count,
+        tradesSettled: row.trades_settled,
+        alreadySettled: true
+      };
+    }
+    if (session.rows[0].status === 'completed') {
+      throw httpError(400, 'Session already settled');
+    }
+    // Cancelled and voided sessions were refunded; scheduled ones never ran
+    if (session.rows[0].status !== 'live') {
+      throw httpError(400, 'Only live sessions can be settled');
+    }
+
+    // Calculate final consensus from each judge's latest rating
+    const consensus = await getConsensus(client, sessionId, session.rows[0].consensus_algorithm);
+    const finalConsensus = consensus.consensus ?? 0;
+    const judgeCount = consensus.judgeCount;
+    await recordJudgeWeights(client, sessionId);
+
+    // Update session to completed
+    await client.query(
+      `UPDATE judging_sessions SET status = 'completed', final_consensus = $1, judge_count = $2, end_time = NOW()
+       WHERE id = $3`,
+      [finalConsensus, judgeCount, sessionId]
+    );
+
+    // Lock all pending trades for this session
+    const trades = await client.query(
+      `SELECT t.*
+       FROM trades t
+       WHERE t.session_id = $1 AND t.status = 'pending'
+       ORDER BY t.created_at
+       FOR UPDATE`,
+      [sessionId]
+    );
+
+    // Decide outcomes and payouts according to the session's market mode
+    const { market_mode: marketMode, house_rake: houseRake } = session.rows[0];
+    const rake = houseRake !== null ? parseFloat(houseRake) : DEFAULT_HOUSE_RAKE;
+    const { resolved, rakeCollected } = resolvePayouts(marketMode, rake, trades.rows, finalConsensus);
+
+    let settled = 0;
+    const results = [];
+    for (const { trade, outcome, payout, amount } of resolved) {
+      // Record the payout first: the unique trade_id guards against paying twice
+      await client.query(
+        `INSERT INTO settlement_ledger (session_id, trade_id, trader_id, outcome, amount, payout)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [sessionId, trade.id, trade.trader_id, outcome, amount, payout]
+      );
+
+      // Update trade record
+      await client.query(
+        `UPDATE trades SET status = 'settled', outcome = $1, final_sentiment = $2, payout = $3, settled_at = NOW()
+         WHERE id = $4`,
+        [outcome, finalConsensus, payout, trade.id]
+      );
+
+      // Update trader balance and stats
+      await applyTradeResult(client, trade, outcome, payout);
+      await notifyTradeSettled(client, {
+        userId: trade.user_id,
+        userType: trade.user_type,
+        tradeId: trade.id,
+        sessionId,
+        sessionTitle: session.rows[0].title,
+        direction: trade.direction,
+        amount,
+        outcome,
+        payout,
+        finalConsensus: round2(finalConsensus)
+      });
+      results.push({
+        userId: trade.user_id,
+        userType: trade.user_type,
+        tradeId: trade.id,
+        direction: trade.direction,
+        entrySentiment: parseFloat(trade.entry_sentiment),
+        amount,
+        outcome,
+        payout
+      });
+      settled++;
+    }
+
+    // Update judge session counts
+    const judgeIds = await client.query(
+      `SELECT DISTINCT judge_id FROM judge_rating_snapshots WHERE session_id = $1 AND NOT voided`,
+      [sessionId]
+    );
+    for (const row of judgeIds.rows) {
+      const ratingCount = await client.query(
+        'SELECT COUNT(*) as cnt FROM judge_rating_snapshots WHERE session_id = $1 AND judge_id = $2 AND NOT voided',
+        [sessionId, row.judge_id]
+      );
+      await client.query(
+        `UPDATE judges SET sessions_judged = sessions_judged + 1, total_ratings = total_ratings + $1 WHERE id = $2`,
+        [parseInt(ratingCount.rows[0].cnt), row.judge_id]
+      );
+    }
+
+    // Roll each judge's final rating into their accuracy score, then
+    // promote, graduate or suspend judges on the new figures
+    const scored = await updateJudgeAccuracy(client, sessionId, {
+      finalConsensus,
+      algorithm: session.rows[0].consensus_algorithm
+    });
+    await evaluateJudges(client, scored.map(s => s.judgeId));
+
+    // Pay judges for taking part, more for accuracy
+    const judgeRewards = await creditJudgeRewards(client, sessionId, scored, judgeCount);
+
+    await client.query(
+      `INSERT INTO session_settlements (session_id, final_consensus, judge_count, trades_settled, house_rake_collected)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [sessionId, finalConsensus, judgeCount, settled, rakeCollected]
+    );
+
+    return {
+      sessionId,
+      finalConsensus: round2(finalConsensus),
+      judgeCount,
+      tradesSettled: settled,
+      alreadySettled: false,
+      eventId: session.rows[0].event_id,
+      results,
+      judgeRewards
+    };
+  });
+
+  // Broadcast session ended via Socket.IO once the settlement is committed,
+  // and tell each trader privately how their trades resolved
+  if (io && !summary.alreadySettled) {
+    const judging = io.of('/judging');
+    judging.to(`session:${sessionId}`).emit('session-ended', {
+      sessionId,
+      finalConsensus: summary.finalConsensus,
+      judgeCount: summary.judgeCount,
+      tradesSettled: summary.tradesSettled
+    });
+    for (const result of summary.results) {
+      judging.to(userRoom(result.userId, result.userType)).emit('trade-settled', {
+        sessionId,
+        finalConsensus: summary.finalConsensus,
+        tradeId: result.tradeId,
+        direction: result.direction,
+        entrySentiment: result.entrySentiment,
+        amount: result.amount,
+        outcome: result.outcome,
+        payout: result.payout
+      });
+    }
+    for (const reward of summary.judgeRewards) {
+      judging.to(userRoom(reward.userId, reward.userType)).emit('judge-reward', {
+        sessionId,
+        sessionAccuracy: reward.sessionAccuracy,
+        participation: reward.participation,
+        accuracy: reward.accuracy,
+        total: reward.total
+      });
+    }
+  }
+
+  // Fresh live ratings may move an anchor song's calibration
+  if (!summary.alreadySettled) {
+    calibrateAnchors(pool, { sessionId }).catch(err => console.error('Anchor calibration error:', err));
+  }
+
+  // Creators who asked for this session get their result
+  if (!summary.alreadySettled) {
+    notifyRequestResult(pool, sessionId).catch(err => console.error('Judging request result error:', err));
+  }
+
+  // A settled event session may decide a match or finish its event
+  if (!summary.alreadySettled && summary.eventId) {
+    advanceEvent(pool, io, summary.eventId).catch(err => console.error('Event advance error:', err));
+  }
+
+  return summary;
+}
+
+// Call off a session without settling it: 'cancelled' for a session that
+// hasn't started, 'voided' for a live one. Pending trades are refunded in
+// full, rating snapshots are marked void so they never count toward judge
+// stats, an event session is re-run and a creator request goes back in the
+// queue. Throws an error with a `status` for bad requests.
+async function callOffSession(pool, io, sessionId, status, { reason, voidedBy } = {}) {
+  if (!reason || !String(reason).trim()) throw httpError(400, 'reason is required');
+  const from = status === 'cancelled' ? 'scheduled' : 'live';
+
+  const summary = await withTransaction(pool, async (client) => {
+    const session = await client.query(
+      `SELECT id, title, status, event_id, event_entry_id, event_round, event_match_id
+       FROM judging_sessions WHERE id = $1 FOR UPDATE`,
+      [sessionId]
+    );
+    if (session.rows.length === 0) throw httpError(404, 'Session not found');
+    if (session.rows[0].status !== from) {
+      throw httpError(400, status === 'cancelled'
+        ? 'Only scheduled sessions can be cancelled'
+        : 'Only live sessions can be voided');
+    }
+
+    await client.query(
+      `UPDATE judging_sessions SET status = $1, void_reason = $2, voided_at = NOW(), voided_by = $3, end_time = NOW()
+       WHERE id = $4`,
+      [status, reason, voidedBy || null, sessionId]
+    );
+
+    const trades = await client.query(
+      `SELECT * FROM trades WHERE session_id = $1 AND status = 'pending' ORDER BY created_at FOR UPDATE`,
+      [sessionId]
+    );
+    const results = [];
+    for (const trade of trades.rows) {
+      const amount = parseFloat(trade.amount);
+      await client.query(
+        `UPDATE trades SET status = 'voided', outcome = 'void', payout = $1, settled_at = NOW() WHERE id = $2`,
+        [amount, trade.id]
+      );
+      await postEntry(client, {
+        traderId: trade.trader_id,
+        type: 'void_refund',
+        amount,
+        tradeId: trade.id,
+        sessionId,
+        memo: `Session ${status}: ${reason}`
+      });
+      // A refunded trade doesn't count as a trade at all
+      await client.query(
+        'UPDATE traders SET total_trades = GREATEST(total_trades - 1, 0) WHERE id = $1',
+        [trade.trader_id]
+      );
+      await notifyTradeSettled(client, {
+        userId: trade.user_id,
+        userType: trade.user_type,
+        tradeId: trade.id,
+        sessionId,
+        sessionTitle: session.rows[0].title,
+        direction: trade.direction,
+        amount,
+        outcome: 'void',
+        payout: amount
+      });
+      results.push({
+        userId: trade.user_id,
+        userType: trade.user_type,
+        tradeId: trade.id,
+        direction: trade.direction,
+        entrySentiment: parseFloat(trade.entry_sentiment),
+        amount
+      });
+    }
+
+    await recordJudgeWeights(client, sessionId);
+    const snapshots = await client.query(
+      'UPDATE judge_rating_snapshots SET voided = true WHERE session_id = $1 AND NOT voided',
+      [sessionId]
+    );
+
+    const replacementSessionId = session.rows[0].event_id
+      ? await replaceEventSession(client, session.rows[0])
+      : null;
+    await requeueRequest(client, sessionId, reason);
+
+    return {
+      sessionId,
+      status,
+      reason,
+      tradesRefunded: results.length,
+      snapshotsVoided: snapshots.rowCount,
+      replacementSessionId,
+      results
+    };
+  });
+
+  if (io) {
+    const judging = io.of('/judging');
+    judging.emit(status === 'cancelled' ? 'session-cancelled' : 'session-voided', {
+      sessionId,
+      reason,
+      tradesRefunded: summary.tradesRefunded,
+      replacementSessionId: summary.replacementSessionId
+    });
+    for (const result of summary.results) {
+      judging.to(userRoom(result.userId, result.userType)).emit('trade-settled', {
+        sessionId,
+        finalConsensus: null,
+        tradeId: result.tradeId,
+        direction: result.direction,
+        entrySentiment: result.entrySentiment,
+        amount: result.amount,
+        outcome: 'void',
+        payout: result.amount
+      });
+    }
+  }
+
+  return summary;
+}
+
+function cancelSession(pool, io, sessionId, options) {
+  return callOffSession(pool, io, sessionId, 'cancelled', options);
+}
+
+function voidSession(pool, io, sessionId, options) {
+  return callOffSession(pool, io, sessionId, 'voided', options);
+}
+
+module.exports = { startSession, closeTrading, settleSession, cancelSession, voidSession };
@@ -0,0 +1,204 @@
+const { withTransaction } = require('./transaction');
+const { httpError } = require('./errors');
+const { postEntry, ensureTrader } = require('./ledger');
+
+// Ways back into the game for traders who have lost their play money.
+//   daily bonus    claimable once per calendar day (database date)
+//   streak reward  extra credit on every STREAK_REWARD_DAYS-th consecutive
+//                  day the daily bonus is claimed
+//   bailout        tops a trader up to BAILOUT_BALANCE when their balance
+//                  plus open stakes is under BAILOUT_THRESHOLD, at most once
+//                  per BAILOUT_COOLDOWN_HOURS
+// Admin grants and clawbacks go through here too. Every credit or debit is
+// posted to the ledger and recorded in trader_credits with its reason, which
+// is what the trader sees on their profile.
+
+function envNumber(name, fallback) {
+  return process.env[name] !== undefined ? parseFloat(process.env[name]) || 0 : fallback;
+}
+
+const DAILY_BONUS = envNumber('DAILY_BONUS_AMOUNT', 5);
+const STREAK_REWARD_DAYS = envNumber('STREAK_REWARD_DAYS', 7);
+const STREAK_REWARD = envNumber('STREAK_REWARD_AMOUNT', 20);
+const BAILOUT_THRESHOLD = envNumber('BAILOUT_THRESHOLD', 5);
+const BAILOUT_BALANCE = envNumber('BAILOUT_BALANCE', 50);
+const BAILOUT_COOLDOWN_HOURS = envNumber('BAILOUT_COOLDOWN_HOURS', 72);
+const MAX_ADMIN_ADJUSTMENT = 10000;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function recordCredit(client, trader, { kind, amount, reason, streakDay = null, createdBy = null }) {
+  const balance = await postEntry(client, {
+    traderId: trader.id,
+    type: kind,
+    amount,
+    memo: reason,
+    createdBy
+  });
+  const inserted = await client.query(
+    `INSERT INTO trader_credits (trader_id, kind, amount, reason, streak_day, balance_after, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [trader.id, kind, amount, reason, streakDay, balance, createdBy]
+  );
+  return inserted.rows[0];
+}
+
+// Balance plus stakes still riding on pending trades
+async function exposure(client, trader) {
+  const pending = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) as staked FROM trades WHERE trader_id = $1 AND status = 'pending'`,
+    [trader.id]
+  );
+  return parseFloat(trader.play_money_balance) + parseFloat(pending.rows[0].staked);
+}
+
+async function claimDailyBonus(pool, userId, userType) {
+  if (DAILY_BONUS <= 0) throw httpError(400, 'Daily bonuses are turned off');
+
+  return withTransaction(pool, async (client) => {
+    const trader = await ensureTrader(client, userId, userType);
+    const day = await client.query(
+      `SELECT $1::date = CURRENT_DATE as claimed_today,
+              $1::date = CURRENT_DATE - 1 as claimed_yesterday`,
+      [trader.last_daily_bonus_date]
+    );
+    const { claimed_today: claimedToday, claimed_yesterday: claimedYesterday } = day.rows[0];
+    if (claimedToday) throw httpError(400, 'Daily bonus already claimed today');
+
+    const streak = claimedYesterday ? (trader.login_streak || 0) + 1 : 1;
+    await client.query(
+      'UPDATE traders SET login_streak = $1, last_daily_bonus_date = CURRENT_DATE WHERE id = $2',
+      [streak, trader.id]
+    );
+
+    const credits = [await recordCredit(client, trader, {
+      kind: 'daily_bonus',
+      amount: DAILY_BONUS,
+      reason: `Daily bonus (day ${streak})`,
+      streakDay: streak
+    })];
+    if (STREAK_REWARD > 0 && STREAK_REWARD_DAYS > 0 && streak % STREAK_REWARD_DAYS === 0) {
+      credits.push(await recordCredit(client, trader, {
+        kind: 'streak_reward',
+        amount: STREAK_REWARD,
+        reason: `${streak}-day streak reward`,
+        streakDay: streak
+      }));
+    }
+
+    return { streak, credits, balance: credits[credits.length - 1].balance_after };
+  });
+}
+
+// Seconds until the next bailout is allowed, or 0
+function bailoutCooldown(trader) {
+  if (!trader.last_bailout_at) return 0;
+  const ready = new Date(trader.last_bailout_at).getTime() + BAILOUT_COOLDOWN_HOURS * 60 * 60 * 1000;
+  return Math.max(0, Math.ceil((ready - Date.now()) / 1000));
+}
+
+async function claimBailout(pool, userId, userType) {
+  return withTransaction(pool, async (client) => {
+    const trader = await ensureTrader(client, userId, userType);
+    const total = await exposure(client, trader);
+    if (total >= BAILOUT_THRESHOLD) {
+      throw httpError(400, `Bailouts are for balances under ${BAILOUT_THRESHOLD.toFixed(2)} (including open trades)`);
+    }
+    const cooldown = bailoutCooldown(trader);
+    if (cooldown > 0) {
+      const err = httpError(429, 'Bailout is on cooldown');
+      err.retryAfterSeconds = cooldown;
+      throw err;
+    }
+
+    const amount = round2(BAILOUT_BALANCE - parseFloat(trader.play_money_balance));
+    if (amount <= 0) throw httpError(400, 'Nothing to top up');
+    await client.query('UPDATE traders SET last_bailout_at = NOW() WHERE id = $1', [trader.id]);
+    const credit = await recordCredit(client, trader, {
+      kind: 'bailout',
+      amount,
+      reason: `Bailout back to ${BAILOUT_BALANCE.toFixed(2)}`
+    });
+    return { credit, balance: credit.balance_after };
+  });
+}
+
+// Admin grant (positive amount) or clawback (negative), with an audit reason.
+// Clawbacks can't take a balance below zero.
+async function adminAdjust(pool, traderId, amount, reason, createdBy) {
+  if (!amount || isNaN(amount) || Math.abs(amount) > MAX_ADMIN_ADJUSTMENT) {
+    throw httpError(400, `Amount must be between 0.01 and ${MAX_ADMIN_ADJUSTMENT}`);
+  }
+  if (!reason || !String(reason).trim()) throw httpError(400, 'reason is required');
+
+  return withTransaction(pool, async (client) => {
+    const result = await client.query('SELECT * FROM traders WHERE id = $1 FOR UPDATE', [traderId]);
+    if (result.rows.length === 0) throw httpError(404, 'Trader not found');
+    const trader = result.rows[0];
+    if (amount < 0 && parseFloat(trader.play_money_balance) + amount < 0) {
+      throw httpError(400, `Clawback exceeds the trader's balance of ${trader.play_money_balance}`);
+    }
+
+    const credit = await recordCredit(client, trader, {
+      kind: amount > 0 ? 'admin_grant' : 'admin_clawback',
+      amount: round2(amount),
+      reason: String(reason).trim(),
+      createdBy: createdBy || 'master'
+    });
+    return { credit, balance: credit.balance_after };
+  });
+}
+
+// What the trader can claim right now, for their profile
+function topUpStatus(trader, openStakes, claimedToday) {
+  const total = parseFloat(trader.play_money_balance) + openStakes;
+  const cooldown = bailoutCooldown(trader);
+  const streak = trader.login_streak || 0;
+  return {
+    daily_bonus: {
+      amount: DAILY_BONUS,
+      available: DAILY_BONUS > 0 && !claimedToday,
+      streak,
+      streak_reward: STREAK_REWARD,
+      streak_reward_every: STREAK_REWARD_DAYS,
+      days_to_streak_reward: STREAK_REWARD_DAYS > 0 ? STREAK_REWARD_DAYS - (streak % STREAK_REWARD_DAYS) : null
+    },
+    bailout: {
+      threshold: BAILOUT_THRESHOLD,
+      tops_up_to: BAILOUT_BALANCE,
+      eligible: total < BAILOUT_THRESHOLD && cooldown === 0,
+      cooldown_seconds: cooldown,
+      cooldown_hours: BAILOUT_COOLDOWN_HOURS
+    }
+  };
+}
+
+async function getTopUps(db, trader) {
+  const state = await db.query(
+    `SELECT COALESCE((SELECT SUM(amount) FROM trades WHERE trader_id = $1 AND status = 'pending'), 0) as open_stakes,
+            COALESCE($2::date = CURRENT_DATE, false) as claimed_today`,
+    [trader.id, trader.last_daily_bonus_date]
+  );
+  const credits = await db.query(
+    `SELECT id, kind, amount, reason, streak_day, balance_after, created_at
+     FROM trader_credits WHERE trader_id = $1
+     ORDER BY created_at DESC LIMIT 20`,
+    [trader.id]
+  );
+  return {
+    status: topUpStatus(trader, parseFloat(state.rows[0].open_stakes), state.rows[0].claimed_today),
+    credits: credits.rows
+  };
+}
+
+module.exports = {
+  DAILY_BONUS,
+  BAILOUT_THRESHOLD,
+  claimDailyBonus,
+  claimBailout,
+  adminAdjust,
+  getTopUps
+};
@@ -0,0 +1,157 @@
+const { httpError } = require('./errors');
+const { STARTING_BALANCE } = require('./ledger');
+
+// Portfolio analytics for a trader, computed from their resolved trades
+// (settled at session end or closed early; voided trades are left out) over
+// an optional date range. P&L for a trade is its payout minus its stake.
+// The equity curve starts from the trader's ledger balance at the start of
+// the range and moves only with trading P&L, so grants and rewards don't
+// show up as trading performance. Drawdown is measured on that curve.
+
+const MAX_CURVE_POINTS = 500;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// A bare date (YYYY-MM-DD) as `to` covers that whole day
+function parseDate(value, name, endOfDay) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw httpError(400, `${name} is not a valid date`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+// Totals for a group of trades
+function summarise(trades) {
+  let staked = 0;
+  let pnl = 0;
+  let wins = 0;
+  let losses = 0;
+  let pushes = 0;
+  for (const t of trades) {
+    staked += t.amount;
+    pnl += t.pnl;
+    if (t.outcome === 'win') wins++;
+    else if (t.outcome === 'loss') losses++;
+    else pushes++;
+  }
+  return {
+    trades: trades.length,
+    wins,
+    losses,
+    pushes,
+    win_rate: wins + losses > 0 ? round2(wins / (wins + losses) * 100) : null,
+    staked: round2(staked),
+    pnl: round2(pnl),
+    roi: staked > 0 ? round2(pnl / staked * 100) : null,
+    average_stake: trades.length > 0 ? round2(staked / trades.length) : null
+  };
+}
+
+function groupBy(trades, keyOf, labelOf) {
+  const groups = new Map();
+  for (const t of trades) {
+    const key = keyOf(t);
+    if (!groups.has(key)) groups.set(key, { key, label: labelOf(t), trades: [] });
+    groups.get(key).trades.push(t);
+  }
+  return [...groups.values()]
+    .map(g => ({ key: g.key, label: g.label, ...summarise(g.trades) }))
+    .sort((a, b) => b.trades - a.trades);
+}
+
+// Keep every n-th point (plus the last) so long histories chart quickly
+function downsample(points) {
+  if (points.length <= MAX_CURVE_POINTS) return points;
+  const step = Math.ceil(points.length / MAX_CURVE_POINTS);
+  const sampled = points.filter((_, i) => i % step === 0);
+  if (sampled[sampled.length - 1] !== points[points.length - 1]) sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+async function traderAnalytics(db, userId, userType, { from, to } = {}) {
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to', true);
+  if (fromDate && toDate && fromDate > toDate) throw httpError(400, 'from must be before to');
+
+  const trader = await db.query(
+    'SELECT id, play_money_balance FROM traders WHERE user_id = $1 AND user_type = $2',
+    [userId, userType]
+  );
+  if (trader.rows.length === 0) {
+    return { range: { from: fromDate, to: toDate }, summary: summarise([]), equity_curve: [], drawdown: null, by_direction: [], by_genre: [], by_creator: [] };
+  }
+  const traderId = trader.rows[0].id;
+
+  const result = await db.query(
+    `SELECT t.id, t.direction, t.amount, t.payout, t.outcome, t.status, t.settled_at, t.session_id,
+            js.title as session_title,
+            COALESCE(s.genre, (SELECT a.genre FROM anchor_songs a
+                               WHERE a.song_id = s.id AND a.genre IS NOT NULL LIMIT 1)) as genre,
+            s.creator_id, COALESCE(c.artist_name, c.username, s.artist) as creator_name
+     FROM trades t
+     JOIN judging_sessions js ON t.session_id = js.id
+     JOIN songs s ON js.song_id = s.id
+     LEFT JOIN creators c ON s.creator_id = c.id
+     WHERE t.trader_id = $1 AND t.status IN ('settled', 'closed')
+       AND ($2::timestamp IS NULL OR t.settled_at >= $2)
+       AND ($3::timestamp IS NULL OR t.settled_at <= $3)
+     ORDER BY t.settled_at ASC, t.id ASC`,
+    [traderId, fromDate, toDate]
+  );
+  const trades = result.rows.map(t => {
+    const amount = parseFloat(t.amount);
+    return { ...t, amount, pnl: round2(parseFloat(t.payout || 0) - amount) };
+  });
+
+  // Balance going into the range, from the ledger
+  let startingEquity = STARTING_BALANCE;
+  if (fromDate) {
+    const before = await db.query(
+      `SELECT balance_after FROM ledger_entries
+       WHERE trader_id = $1 AND account = 'trader' AND created_at < $2
+       ORDER BY created_at DESC LIMIT 1`,
+      [traderId, fromDate]
+    );
+    if (before.rows.length > 0) startingEquity = parseFloat(before.rows[0].balance_after);
+  }
+
+  let equity = startingEquity;
+  let peak = startingEquity;
+  let peakAt = fromDate;
+  let drawdown = { amount: 0, percent: 0, peak_at: null, trough_at: null };
+  const curve = [{ at: fromDate || trades[0]?.settled_at || null, equity: round2(equity), pnl: 0 }];
+  for (const t of trades) {
+    equity += t.pnl;
+    curve.push({ at: t.settled_at, equity: round2(equity), pnl: t.pnl, trade_id: t.id });
+    if (equity > peak) {
+      peak = equity;
+      peakAt = t.settled_at;
+    } else if (peak - equity > drawdown.amount) {
+      drawdown = {
+        amount: round2(peak - equity),
+        percent: peak > 0 ? round2((peak - equity) / peak * 100) : null,
+        peak_at: peakAt,
+        trough_at: t.settled_at
+      };
+    }
+  }
+
+  return {
+    range: { from: fromDate, to: toDate },
+    summary: {
+      ...summarise(trades),
+      starting_equity: round2(startingEquity),
+      ending_equity: round2(equity)
+    },
+    equity_curve: downsample(curve),
+    drawdown,
+    by_direction: groupBy(trades, t => t.direction, t => t.direction),
+    by_genre: groupBy(trades, t => t.genre || 'Unspecified', t => t.genre || 'Unspecified'),
+    by_creator: groupBy(trades, t => t.creator_id || t.creator_name, t => t.creator_name || 'Unknown')
+  };
+}
+
+module.exports = { traderAnalytics };
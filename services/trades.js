@@ -0,0 +1,150 @@
+const { withTransaction } = require('./transaction');
+const { postEntry } = require('./ledger');
+const { earlyExitPayout } = require('./market');
+const { getConsensus } = require('./consensus');
+const { httpError } = require('./errors');
+
+// Trader positions: applying results to balances and stats, closing a
+// position before the trading window ends, and net exposure per session.
+
+const MAX_POSITIONS_PER_SESSION = parseInt(process.env.MAX_POSITIONS_PER_SESSION) || 10;
+// Share of an early-exit payout kept by the house
+const EARLY_EXIT_FEE = process.env.EARLY_EXIT_FEE !== undefined
+  ? parseFloat(process.env.EARLY_EXIT_FEE)
+  : 0.05;
+
+const LEDGER_TYPES = { win: 'win_payout', push: 'push_refund' };
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Credit a resolved trade's payout and update the trader's win/loss stats.
+// Must run inside the caller's transaction.
+async function applyTradeResult(client, trade, outcome, payout, entryType) {
+  const amount = parseFloat(trade.amount);
+  const profitLoss = payout - amount;
+
+  if (payout > 0) {
+    await postEntry(client, {
+      traderId: trade.trader_id,
+      type: entryType || LEDGER_TYPES[outcome],
+      amount: payout,
+      tradeId: trade.id,
+      sessionId: trade.session_id
+    });
+  }
+
+  if (outcome === 'win') {
+    await client.query(
+      `UPDATE traders SET
+         winning_trades = winning_trades + 1,
+         current_streak = current_streak + 1,
+         best_streak = GREATEST(best_streak, current_streak + 1),
+         total_profit_loss = total_profit_loss + $1,
+         biggest_win = GREATEST(biggest_win, $1)
+       WHERE id = $2`,
+      [profitLoss, trade.trader_id]
+    );
+  } else if (outcome === 'loss') {
+    await client.query(
+      `UPDATE traders SET
+         losing_trades = losing_trades + 1,
+         current_streak = 0,
+         total_profit_loss = total_profit_loss - $1,
+         biggest_loss = GREATEST(biggest_loss, $1)
+       WHERE id = $2`,
+      [amount, trade.trader_id]
+    );
+  } else if (profitLoss !== 0) {
+    // Push — money back, only an exit fee shows up in profit/loss
+    await client.query(
+      'UPDATE traders SET total_profit_loss = total_profit_loss + $1 WHERE id = $2',
+      [profitLoss, trade.trader_id]
+    );
+  }
+}
+
+// Close an open position at the current consensus, minus the early-exit fee
+// (see earlyExitPayout for what each market mode pays). Only allowed while
+// trading is open.
+async function closePosition(pool, userId, userType, tradeId) {
+  return withTransaction(pool, async (client) => {
+    const owned = await client.query(
+      'SELECT session_id FROM trades WHERE id = $1 AND user_id = $2 AND user_type = $3',
+      [tradeId, userId, userType]
+    );
+    if (owned.rows.length === 0) throw httpError(404, 'Trade not found');
+
+    // Session before trade, the same lock order as settlement and call-off
+    const session = await client.query(
+      `SELECT id, status, trading_window_end, trading_closed_at, consensus_algorithm, market_mode
+       FROM judging_sessions WHERE id = $1 FOR SHARE`,
+      [owned.rows[0].session_id]
+    );
+    const tradeResult = await client.query('SELECT * FROM trades WHERE id = $1 FOR UPDATE', [tradeId]);
+    const trade = tradeResult.rows[0];
+    if (trade.status !== 'pending') throw httpError(400, 'Trade is not open');
+
+    const s = session.rows[0];
+    if (!s || s.status !== 'live' || s.trading_closed_at ||
+        (s.trading_window_end && new Date(s.trading_window_end) < new Date())) {
+      throw httpError(400, 'Trading window has closed');
+    }
+
+    const { consensus } = await getConsensus(client, trade.session_id, s.consensus_algorithm);
+    const exitSentiment = consensus ?? 50;
+    const { outcome, gross } = earlyExitPayout(s.market_mode, trade, exitSentiment);
+    const fee = round2(gross * EARLY_EXIT_FEE);
+    const payout = round2(gross - fee);
+
+    const updated = await client.query(
+      `UPDATE trades SET status = 'closed', outcome = $1, final_sentiment = $2, payout = $3,
+                         exit_fee = $4, settled_at = NOW(), closed_at = NOW()
+       WHERE id = $5 RETURNING *`,
+      [outcome, exitSentiment, payout, fee, trade.id]
+    );
+
+    await applyTradeResult(client, trade, outcome, payout, 'early_exit');
+
+    return updated.rows[0];
+  });
+}
+
+// Open positions aggregated per session: stake on each side, stake-weighted
+// average entry and the net exposure (positive = net over).
+async function getNetPositions(db, userId, userType) {
+  const result = await db.query(
+    `SELECT t.session_id, js.title as session_title, js.status as session_status,
+            s.title as song_title, s.artist as song_artist,
+            COUNT(*) as trade_count,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.direction = 'over'), 0) as over_amount,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.direction = 'under'), 0) as under_amount,
+            SUM(t.amount * t.entry_sentiment) FILTER (WHERE t.direction = 'over')
+              / NULLIF(SUM(t.amount) FILTER (WHERE t.direction = 'over'), 0) as avg_over_entry,
+            SUM(t.amount * t.entry_sentiment) FILTER (WHERE t.direction = 'under')
+              / NULLIF(SUM(t.amount) FILTER (WHERE t.direction = 'under'), 0) as avg_under_entry,
+            MAX(t.created_at) as last_trade_at
+     FROM trades t
+     JOIN judging_sessions js ON t.session_id = js.id
+     JOIN songs s ON js.song_id = s.id
+     WHERE t.user_id = $1 AND t.user_type = $2 AND t.status = 'pending'
+     GROUP BY t.session_id, js.title, js.status, s.title, s.artist
+     ORDER BY MAX(t.created_at) DESC`,
+    [userId, userType]
+  );
+
+  return result.rows.map(row => {
+    const net = round2(parseFloat(row.over_amount) - parseFloat(row.under_amount));
+    return {
+      ...row,
+      trade_count: parseInt(row.trade_count),
+      avg_over_entry: row.avg_over_entry !== null ? round2(parseFloat(row.avg_over_entry)) : null,
+      avg_under_entry: row.avg_under_entry !== null ? round2(parseFloat(row.avg_under_entry)) : null,
+      net_amount: net,
+      net_direction: net > 0 ? 'over' : net < 0 ? 'under' : 'flat'
+    };
+  });
+}
+
+module.exports = { MAX_POSITIONS_PER_SESSION, EARLY_EXIT_FEE, applyTradeResult, closePosition, getNetPositions };
@@ -0,0 +1,18 @@
+// Run fn(client) inside a single database transaction on a dedicated pool
+// client. Commits when fn resolves; rolls back and rethrows when it throws.
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { withTransaction };
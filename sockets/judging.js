@@ -1,8 +1,19 @@
 const jwt = require('jsonwebtoken');
+const { createRatingGuard } = require('../services/rating-guard');
+const { getConsensus } = require('../services/consensus');
+const { buildReplay, createReplayStream } = require('../services/replay');
+const { RATING_STATUSES } = require('../services/judge-tiers');
 const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-me';
 
+// Private room for one user's events (trade fills, settlement results),
+// keyed by the identity in their JWT
+function userRoom(userId, userType) {
+  return `user:${userType}:${userId}`;
+}
+
 module.exports = function(io, pool) {
   const judgingNamespace = io.of('/judging');
+  const ratingGuard = createRatingGuard(pool);
 
   // Auth middleware for socket connections
   judgingNamespace.use((socket, next) => {
@@ -20,13 +31,27 @@ module.exports = function(io, pool) {
 
   judgingNamespace.on('connection', (socket) => {
     console.log(`Judge/Trader connected: ${socket.user.type}:${socket.user.id}`);
+    socket.join(userRoom(socket.user.id, socket.user.type));
+    // sessionId -> when this socket joined, for the minimum listening time
+    socket.joinedSessions = new Map();
 
     socket.on('join-session', (sessionId) => {
       socket.join(`session:${sessionId}`);
+      if (!socket.joinedSessions.has(sessionId)) socket.joinedSessions.set(sessionId, Date.now());
     });
 
     socket.on('leave-session', (sessionId) => {
       socket.leave(`session:${sessionId}`);
+      socket.joinedSessions.delete(sessionId);
+    });
+
+    // Multi-song event updates (bracket progress, event market)
+    socket.on('join-event', (eventId) => {
+      socket.join(`event:${eventId}`);
+    });
+
+    socket.on('leave-event', (eventId) => {
+      socket.leave(`event:${eventId}`);
     });
 
     // Live rating submission from judges
@@ -35,23 +60,43 @@ module.exports = function(io, pool) {
       const userType = socket.user.type;
 
       try {
-        // Verify judge is active
+        // Verify judge may rate (active or on probation)
         const judgeResult = await pool.query(
-          'SELECT id FROM judges WHERE user_id = $1 AND user_type = $2 AND status = $3',
-          [userId, userType, 'active']
+          'SELECT id FROM judges WHERE user_id = $1 AND user_type = $2 AND status = ANY($3)',
+          [userId, userType, RATING_STATUSES]
         );
         if (judgeResult.rows.length === 0) return;
         const judgeId = judgeResult.rows[0].id;
 
         // Verify session is live
         const sessionResult = await pool.query(
-          'SELECT id, status FROM judging_sessions WHERE id = $1 AND status = $2',
+          'SELECT id, status, actual_start, consensus_algorithm FROM judging_sessions WHERE id = $1 AND status = $2',
           [sessionId, 'live']
         );
         if (sessionResult.rows.length === 0) return;
 
         // Clamp rating
         const clampedRating = Math.max(0, Math.min(100, Math.round(rating)));
+        if (isNaN(clampedRating)) return;
+
+        // Rate limits, listening time and conflict-of-interest checks
+        const verdict = await ratingGuard.check({
+          judgeId,
+          sessionId,
+          userId,
+          userType,
+          rating: clampedRating,
+          joinedAt: socket.joinedSessions.get(sessionId),
+          sessionStart: sessionResult.rows[0].actual_start
+        });
+        if (!verdict.ok) {
+          socket.emit('rating-rejected', {
+            sessionId,
+            reason: verdict.reason,
+            retryAfterSeconds: verdict.retryAfterSeconds
+          });
+          return;
+        }
 
         // Insert snapshot
         await pool.query(
@@ -61,19 +106,9 @@ module.exports = function(io, pool) {
         );
 
         // Calculate new consensus from each judge's latest rating
-        const consensus = await pool.query(
-          `SELECT AVG(sub.rating) as consensus, COUNT(DISTINCT sub.judge_id) as judge_count
-           FROM (
-             SELECT DISTINCT ON (judge_id) judge_id, rating
-             FROM judge_rating_snapshots
-             WHERE session_id = $1
-             ORDER BY judge_id, timestamp DESC
-           ) sub`,
-          [sessionId]
-        );
-
-        const consensusValue = parseFloat(consensus.rows[0].consensus) || 0;
-        const judgeCount = parseInt(consensus.rows[0].judge_count) || 0;
+        const consensus = await getConsensus(pool, sessionId, sessionResult.rows[0].consensus_algorithm);
+        const consensusValue = consensus.consensus ?? 0;
+        const judgeCount = consensus.judgeCount;
 
         // Update session judge_count
         await pool.query(
@@ -92,10 +127,40 @@ module.exports = function(io, pool) {
       }
     });
 
+    // Replay of an ended session, streamed to this socket only. One replay
+    // per socket; starting another replaces it.
+    socket.on('replay-start', async ({ sessionId, speed, resolution } = {}) => {
+      try {
+        const replay = await buildReplay(pool, sessionId, resolution);
+        if (socket.replay) socket.replay.stop();
+        socket.replay = createReplayStream(replay, (event, payload) => socket.emit(event, payload), { speed });
+        socket.emit('replay-ready', { replay, speed: socket.replay.speed });
+        socket.replay.play();
+      } catch (err) {
+        if (err.status) return socket.emit('replay-error', { sessionId, error: err.message });
+        console.error('Replay start error:', err);
+        socket.emit('replay-error', { sessionId, error: 'Failed to start replay' });
+      }
+    });
+
+    socket.on('replay-pause', () => socket.replay?.pause());
+    socket.on('replay-resume', () => socket.replay?.play());
+    socket.on('replay-seek', ({ offsetSeconds } = {}) => socket.replay?.seek(offsetSeconds));
+    socket.on('replay-speed', ({ speed } = {}) => {
+      if (socket.replay) socket.emit('replay-speed', { speed: socket.replay.setSpeed(speed) });
+    });
+    socket.on('replay-stop', () => {
+      socket.replay?.stop();
+      socket.replay = null;
+    });
+
     socket.on('disconnect', () => {
+      socket.replay?.stop();
       console.log(`Judge/Trader disconnected: ${socket.user.type}:${socket.user.id}`);
     });
   });
 
   return judgingNamespace;
 };
+
+module.exports.userRoom = userRoom;
@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const { Client } = require('pg');
+const {
+  NAMESPACE, CHANNEL, notificationRoom, unreadCount, markRead, markAllRead
+} = require('../services/notifications');
+const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-me';
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Live in-app notifications on the /notifications namespace.
+// Each socket joins its user's room and gets the unread count on connect.
+// Server -> client:
+//   notification        { notification, unreadCount }  a new notification
+//   unread-count        { unreadCount }
+//   notifications-read  { ids, all, unreadCount }       read in any tab
+// Client -> server:
+//   mark-read (id), mark-all-read
+module.exports = function(io, pool) {
+  const namespace = io.of(NAMESPACE);
+
+  namespace.use((socket, next) => {
+    const token = socket.handshake.auth.token;
+    if (!token) return next(new Error('Authentication required'));
+
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      socket.user = { id: decoded.id, type: decoded.type };
+      next();
+    } catch (err) {
+      next(new Error('Invalid token'));
+    }
+  });
+
+  namespace.on('connection', async (socket) => {
+    const { id: userId, type: userType } = socket.user;
+    socket.join(notificationRoom(userId, userType));
+
+    socket.on('mark-read', async (notificationId) => {
+      try {
+        await markRead(pool, io, userId, userType, notificationId);
+      } catch (err) {
+        console.error('Socket mark read error:', err);
+      }
+    });
+
+    socket.on('mark-all-read', async () => {
+      try {
+        await markAllRead(pool, io, userId, userType);
+      } catch (err) {
+        console.error('Socket mark all read error:', err);
+      }
+    });
+
+    try {
+      socket.emit('unread-count', { unreadCount: await unreadCount(pool, userId, userType) });
+    } catch (err) {
+      console.error('Unread count error:', err);
+    }
+  });
+
+  // Forward each committed insert to the recipient's room
+  async function push(payload) {
+    const { id, user_id: userId, user_type: userType } = JSON.parse(payload);
+    const room = notificationRoom(userId, userType);
+    if (!namespace.adapter.rooms.has(room)) return;
+
+    const result = await pool.query('SELECT * FROM notifications WHERE id = $1', [id]);
+    if (result.rows.length === 0) return;
+    namespace.to(room).emit('notification', {
+      notification: result.rows[0],
+      unreadCount: await unreadCount(pool, userId, userType)
+    });
+  }
+
+  // LISTEN holds its connection for as long as the server runs, so it uses a
+  // client of its own with the pool's settings rather than one of the pool's.
+  // The client is replaced if it errors or its connection closes.
+  let listener = null;
+  async function listen() {
+    const client = new Client(pool.options);
+    listener = client;
+    client.on('notification', (msg) => {
+      if (msg.channel !== CHANNEL) return;
+      push(msg.payload).catch(err => console.error('Notification push error:', err));
+    });
+    client.on('error', (err) => {
+      console.error('Notification listener error:', err.message);
+      reconnect(client);
+    });
+    client.on('end', () => reconnect(client));
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (err) {
+      console.error('Notification listener setup error:', err.message);
+      reconnect(client);
+    }
+  }
+
+  function reconnect(client) {
+    if (listener !== client) return;
+    listener = null;
+    client.removeAllListeners('notification');
+    client.end().catch(() => {});
+    setTimeout(listen, RECONNECT_DELAY_MS).unref();
+  }
+
+  listen();
+
+  return namespace;
+};
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MIN_CONSENSUS_JUDGES, scoreJudge } = require('../services/judge-accuracy');
+
+const judge = (id, rating) => ({ judge_id: id, rating, accuracy_score: 50, sessions_judged: 3, status: 'active', tier: 'standard' });
+
+test('a judge is scored against the other judges, not their own rating', () => {
+  const judges = [judge('a', 70), judge('b', 50), judge('c', 60)];
+  const score = scoreJudge(judges[0], judges, 'mean', null);
+  assert.strictEqual(score.peerConsensus, 55);
+  assert.strictEqual(score.sessionAccuracy, 70);
+});
+
+test('a judge alone in a session is not scored against consensus', () => {
+  assert.ok(MIN_CONSENSUS_JUDGES > 1);
+  const alone = judge('a', 70);
+  assert.strictEqual(scoreJudge(alone, [alone], 'mean', null), null);
+
+  // An anchor still gives something to score against
+  const score = scoreJudge(alone, [alone], 'mean', 60);
+  assert.strictEqual(score.peerConsensus, null);
+  assert.strictEqual(score.sessionAccuracy, 80);
+});
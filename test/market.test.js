@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { earlyExitPayout, resolvePayouts } = require('../services/market');
+
+const EXIT_FEE = 0.05;
+const RAKE = 0.05;
+
+// Small deterministic PRNG so failures can be reproduced
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+// Close some trades early, settle the rest, and return what was staked and paid
+function playSession(rand) {
+  const trades = Array.from({ length: 2 + Math.floor(rand() * 20) }, (_, i) => ({
+    id: i,
+    direction: rand() < 0.5 ? 'over' : 'under',
+    entry_sentiment: String(Math.round(rand() * 100)),
+    amount: String(1 + Math.floor(rand() * 100))
+  }));
+  const staked = trades.reduce((sum, t) => sum + parseFloat(t.amount), 0);
+
+  let paid = 0;
+  const open = [];
+  for (const trade of trades) {
+    if (rand() < 0.3) {
+      const { gross } = earlyExitPayout('pool', trade, rand() * 100);
+      paid += gross - Math.round(gross * EXIT_FEE * 100) / 100;
+    } else {
+      open.push(trade);
+    }
+  }
+  const { resolved } = resolvePayouts('pool', RAKE, open, rand() * 100);
+  paid += resolved.reduce((sum, r) => sum + r.payout, 0);
+  return { staked, paid };
+}
+
+test('pool mode never pays out more than was staked, early exits included', () => {
+  const rand = random(42);
+  for (let i = 0; i < 2000; i++) {
+    const { staked, paid } = playSession(rand);
+    assert.ok(paid <= staked + 1e-9, `paid ${paid} of ${staked} staked`);
+  }
+});
+
+test('a winning pool trade closed early gets its stake back, not a share of the losing pool', () => {
+  const trades = [
+    { id: 1, direction: 'over', entry_sentiment: '40', amount: '100' },
+    { id: 2, direction: 'over', entry_sentiment: '40', amount: '100' },
+    { id: 3, direction: 'under', entry_sentiment: '40', amount: '100' }
+  ];
+  assert.deepStrictEqual(earlyExitPayout('pool', trades[0], 60), { outcome: 'push', gross: 100 });
+
+  // The losing stake goes to whoever holds on to settlement, once
+  const { resolved } = resolvePayouts('pool', RAKE, trades.slice(1), 60);
+  assert.deepStrictEqual(resolved.map(r => r.payout), [195, 0]);
+});
+
+test('fixed mode exits pay what settling at that consensus would', () => {
+  const trade = { id: 1, direction: 'over', entry_sentiment: '40', amount: '10' };
+  assert.deepStrictEqual(earlyExitPayout('fixed', trade, 60), { outcome: 'win', gross: 18 });
+  assert.deepStrictEqual(earlyExitPayout('fixed', trade, 40.2), { outcome: 'push', gross: 10 });
+  assert.deepStrictEqual(earlyExitPayout('fixed', trade, 20), { outcome: 'loss', gross: 0 });
+});
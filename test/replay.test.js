@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createReplayStream } = require('../services/replay');
+
+// Frames at 0s and 100s of session time
+const replay = {
+  session: { id: 's1', duration_seconds: 100 },
+  consensus: [
+    { offsetSeconds: 0, consensus: 50, judgeCount: 1 },
+    { offsetSeconds: 100, consensus: 60, judgeCount: 1 }
+  ],
+  judges: [],
+  trades: [],
+  transitions: []
+};
+
+function play(steps) {
+  const emitted = [];
+  const stream = createReplayStream(replay, (event, payload) => emitted.push({ event, payload, at: Date.now() }));
+  stream.play();
+  steps(stream);
+  return emitted.filter(e => e.event === 'replay-frame').map(e => e.at);
+}
+
+test('changing speed mid-wait keeps the playback position', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+  const frames = play((stream) => {
+    t.mock.timers.tick(0);
+    // 50s of session time pass at 1x, then the rest plays at 2x
+    t.mock.timers.tick(50 * 1000);
+    stream.setSpeed(2);
+    t.mock.timers.tick(25 * 1000);
+  });
+
+  assert.deepStrictEqual(frames, [0, 75 * 1000]);
+});
+
+test('pausing mid-wait keeps the playback position', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+  const frames = play((stream) => {
+    t.mock.timers.tick(0);
+    t.mock.timers.tick(40 * 1000);
+    stream.pause();
+    t.mock.timers.tick(1000 * 1000);
+    stream.play();
+    t.mock.timers.tick(60 * 1000);
+  });
+
+  assert.deepStrictEqual(frames, [0, 1100 * 1000]);
+});